@@ -0,0 +1,80 @@
+// backend/account.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { UserToken } from "./models.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Tokens de cuenta de un solo uso (reset de contraseña y verificación de email).
+ * - El token viaja solo por mail; en la DB queda su sha256.
+ * - Al emitir uno nuevo se invalidan los anteriores del mismo tipo.
+ */
+
+const RESET_TTL_MIN = Number(process.env.PASSWORD_RESET_TTL_MIN || 60);
+const VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFY_TTL_HOURS || 48);
+
+export function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+export function frontendLink(pathname, token) {
+  const base = process.env.FRONTEND_URL || process.env.CLIENT_URL || "http://localhost:5173";
+  const u = new URL(pathname, base);
+  u.searchParams.set("token", token);
+  return u.toString();
+}
+
+/**
+ * Emite un token nuevo para el usuario. Devuelve el token en claro (solo para el mail).
+ */
+export async function issueUserToken(user, purpose, ttlMs) {
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, purpose, usedAt: null } }
+  );
+  const raw = crypto.randomBytes(32).toString("base64url");
+  await UserToken.create({
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(raw),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return raw;
+}
+
+/**
+ * Consume un token (lo marca usado de forma atómica).
+ * @returns {Promise<number | null>} userId o null si es inválido, vencido o ya usado
+ */
+export async function consumeUserToken(raw, purpose) {
+  if (!raw) return null;
+  const tokenHash = hashToken(raw);
+  const row = await UserToken.findOne({ where: { tokenHash, purpose } });
+  if (!row) return null;
+  const [n] = await UserToken.update(
+    { usedAt: new Date() },
+    { where: { id: row.id, usedAt: null, expiresAt: { [Op.gt]: new Date() } } }
+  );
+  return n ? row.userId : null;
+}
+
+export async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user, "email_verify", VERIFY_TTL_HOURS * 3600_000);
+  const link = frontendLink("/verify-email", token);
+  await sendMail({
+    to: user.email,
+    subject: "Verificá tu email",
+    text: `Hola! Para verificar tu email entrá a:\n\n${link}\n\nEl link vence en ${VERIFY_TTL_HOURS} horas.`
+  });
+}
+
+export async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user, "password_reset", RESET_TTL_MIN * 60_000);
+  const link = frontendLink("/reset-password", token);
+  await sendMail({
+    to: user.email,
+    subject: "Restablecer contraseña",
+    text: `Pediste restablecer tu contraseña. Entrá a:\n\n${link}\n\nEl link vence en ${RESET_TTL_MIN} minutos. Si no fuiste vos, ignorá este mail.`
+  });
+}
@@ -0,0 +1,746 @@
+// backend/admin.js
+import express from "express";
+import { Op } from "sequelize";
+
+import { sequelize, User, License, Plan, Coupon, CouponRedemption, WebhookEvent, SecurityEvent, LicenseRevocation } from "./models.js";
+import { authMiddleware } from "./auth.js";
+import { generateLicenseToken } from "./licenses.js";
+import { saveLicense, listLicenseEvents } from "./license-events.js";
+import { replayWebhook } from "./webhooks.js";
+import { runLicenseSweepOnce } from "./sweeper.js";
+import { getPlan } from "./plans.js";
+import { listEntitlements, validateEntitlements, resolveEntitlements } from "./entitlements.js";
+import { listLicenseDevices } from "./devices.js";
+import { recordDeviceRelease, waiveDeviceReleases } from "./device-policy.js";
+import { createRevocation } from "./revocations.js";
+import { listSigningKeys, generateSigningKey, promoteSigningKey, retireSigningKey, SIGNING_KEY_ATTRS } from "./signing-keys.js";
+import { clearLoginFailures } from "./login-guard.js";
+import { disableTwoFactor } from "./two-factor.js";
+import { SETTING_DEFAULTS, listSettings, setSetting } from "./settings.js";
+import { KEY_STATUSES, prepaidKeysWhere, listPrepaidKeys } from "./prepaid-keys.js";
+import { logger } from "./logger.js";
+
+const LICENSE_STATUSES = ["inactive", "active", "paused", "cancelled", "expired"];
+const USER_ROLES = ["admin", "client", "reseller"];
+const WEBHOOK_STATUSES = ["pending", "processing", "done", "ignored", "dead"];
+
+// Nunca exponemos el hash de la contraseña
+const USER_ATTRS = ["id", "email", "role", "emailVerifiedAt", "totpEnabledAt", "createdAt", "updatedAt"];
+
+/**
+ * Lee page/pageSize del query string con límites razonables.
+ */
+function parsePagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(query.pageSize, 10) || 20));
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+function paginated({ rows, count }, { page, pageSize }) {
+  return { items: rows, total: count, page, pageSize };
+}
+
+const PLAN_FIELDS = [
+  "code", "name", "price", "currency", "frequency", "frequencyType", "maxDevices",
+  "maxDeviceSwaps", "deviceSwapWindowDays", "deviceSlotCooldownHours", "offlineActivationDays", "features", "active"
+];
+
+const COUPON_FIELDS = ["code", "type", "value", "durationMonths", "maxRedemptions", "expiresAt", "active"];
+
+function pickFields(body, fields) {
+  const out = {};
+  for (const f of fields) if (body?.[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+function adminCtx(req, action, extra = {}) {
+  return { actor: "admin", actorId: req.user.id, action, ...extra };
+}
+
+async function findLicenseOr404(req, res) {
+  const lic = await License.findByPk(req.params.id);
+  if (!lic) res.status(404).json({ error: "Licencia no encontrada" });
+  return lic;
+}
+
+/**
+ * Router de administración (soporte).
+ * - Todas las rutas exigen rol "admin" (authMiddleware("admin")).
+ * - Se crea con una factory para montarlo recién después de validar el env.
+ *
+ * Uso:
+ *   app.use("/admin", createAdminRouter());
+ */
+export function createAdminRouter() {
+  const router = express.Router();
+  router.use(authMiddleware("admin"));
+
+  /* ----- Usuarios ----- */
+
+  // Listar / buscar usuarios: ?q=email&role=client&page=1&pageSize=20
+  router.get("/users", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const where = {};
+      if (req.query.q) where.email = { [Op.iLike]: `%${String(req.query.q).trim()}%` };
+      if (req.query.role) {
+        if (!USER_ROLES.includes(req.query.role)) return res.status(400).json({ error: "Rol inválido" });
+        where.role = req.query.role;
+      }
+
+      const result = await User.findAndCountAll({
+        where,
+        attributes: USER_ATTRS,
+        order: [["createdAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin users list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Detalle de usuario con sus licencias
+  router.get("/users/:id", async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id, {
+        attributes: USER_ATTRS,
+        include: [{ model: License, as: "licenses" }]
+      });
+      if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+      res.json(user);
+    } catch (err) {
+      logger.error("admin user get error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Cambiar el rol: { role: "admin" | "client" | "reseller" }
+  router.patch("/users/:id", async (req, res) => {
+    try {
+      const { role } = req.body || {};
+      if (!USER_ROLES.includes(role)) return res.status(400).json({ error: "Rol inválido" });
+      const user = await User.findByPk(req.params.id, { attributes: USER_ATTRS });
+      if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+      if (user.id === req.user.id && role !== "admin") {
+        return res.status(409).json({ error: "No podés quitarte el rol de admin" });
+      }
+      user.role = role;
+      await user.save();
+      res.json(user);
+    } catch (err) {
+      logger.error("admin user update error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Levantar el bloqueo de login de un usuario (y borrar sus fallos)
+  router.post("/users/:id/unlock", async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id, { attributes: USER_ATTRS });
+      if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+      const cleared = await clearLoginFailures({ email: user.email }, { actorId: req.user.id, userId: user.id, reason: "admin" });
+      res.json({ ok: true, cleared });
+    } catch (err) {
+      logger.error("admin user unlock error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Quitar la 2FA de un usuario que perdió el dispositivo y los códigos de recuperación
+  router.post("/users/:id/2fa/reset", async (req, res) => {
+    try {
+      const user = await User.findByPk(req.params.id, { attributes: USER_ATTRS });
+      if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+      if (!user.totpEnabledAt) return res.status(409).json({ error: "El usuario no tiene 2FA activa" });
+      await disableTwoFactor(user, { actorId: req.user.id, reason: "admin", ip: req.ip });
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error("admin user 2fa reset error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Configuración ----- */
+
+  router.get("/settings", async (req, res) => {
+    try {
+      res.json(await listSettings());
+    } catch (err) {
+      logger.error("admin settings error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // { "security.requireAdmin2fa": true }
+  router.patch("/settings", async (req, res) => {
+    try {
+      const changes = pickFields(req.body, Object.keys(SETTING_DEFAULTS));
+      if (!Object.keys(changes).length) return res.status(400).json({ error: "Nada para actualizar" });
+
+      const requireAdmin2fa = changes["security.requireAdmin2fa"];
+      if (requireAdmin2fa !== undefined && typeof requireAdmin2fa !== "boolean") {
+        return res.status(400).json({ error: "security.requireAdmin2fa debe ser booleano" });
+      }
+      // Evita dejarse afuera: quien la exige tiene que tener su propia 2FA activa
+      if (requireAdmin2fa === true) {
+        const me = await User.findByPk(req.user.id, { attributes: ["id", "totpEnabledAt"] });
+        if (!me?.totpEnabledAt) {
+          return res.status(409).json({ error: "Activá tu verificación en dos pasos antes de exigirla a los admins" });
+        }
+      }
+
+      for (const [key, value] of Object.entries(changes)) await setSetting(key, value);
+      res.json(await listSettings());
+    } catch (err) {
+      logger.error("admin settings update error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Eventos de seguridad ----- */
+
+  // ?type=login.lockout&userId=&email=&page=&pageSize=
+  router.get("/security-events", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const { type, userId, email } = req.query;
+      const where = {};
+      if (type) where.type = String(type);
+      if (userId) where.userId = Number(userId);
+      if (email) where.email = String(email).trim().toLowerCase();
+
+      const result = await SecurityEvent.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin security events error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Licencias ----- */
+
+  // Listar / buscar licencias: ?q=token|preapproval|email&status=&plan=&userId=&page=&pageSize=
+  router.get("/licenses", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const { q, status, plan, userId } = req.query;
+      const where = {};
+      if (status) {
+        if (!LICENSE_STATUSES.includes(status)) return res.status(400).json({ error: "Estado inválido" });
+        where.status = status;
+      }
+      if (plan) where.plan = String(plan).toLowerCase();
+      if (userId) where.userId = Number(userId);
+      if (q) {
+        const like = { [Op.iLike]: `%${String(q).trim()}%` };
+        where[Op.or] = [
+          { token: like },
+          { mpPreapprovalId: like },
+          { "$user.email$": like }
+        ];
+      }
+
+      const result = await License.findAndCountAll({
+        where,
+        include: [{ model: User, as: "user", attributes: ["id", "email"] }],
+        order: [["updatedAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset,
+        subQuery: false
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin licenses list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  router.get("/licenses/:id", async (req, res) => {
+    try {
+      const lic = await License.findByPk(req.params.id, {
+        include: [{ model: User, as: "user", attributes: USER_ATTRS }]
+      });
+      if (!lic) return res.status(404).json({ error: "Licencia no encontrada" });
+      res.json(lic);
+    } catch (err) {
+      logger.error("admin license get error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Historial de eventos de una licencia
+  router.get("/licenses/:id/events", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const result = await listLicenseEvents({ id: req.params.id }, pg);
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin license events error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Editar plan / status / features / expiresAt
+  router.patch("/licenses/:id", async (req, res) => {
+    try {
+      const { plan, status, features, expiresAt } = req.body || {};
+      if (plan !== undefined && !(await getPlan(plan))) return res.status(400).json({ error: "Plan inválido" });
+      if (status !== undefined && !LICENSE_STATUSES.includes(status)) return res.status(400).json({ error: "Estado inválido" });
+      let overrides;
+      if (features !== undefined) {
+        try { overrides = validateEntitlements(features); }
+        catch (e) { return res.status(400).json({ error: e.message }); }
+      }
+      let exp;
+      if (expiresAt !== undefined) {
+        exp = new Date(expiresAt);
+        if (Number.isNaN(exp.getTime())) return res.status(400).json({ error: "expiresAt inválido" });
+      }
+
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+
+      if (plan !== undefined) lic.plan = String(plan).toLowerCase();
+      if (status !== undefined) lic.status = status;
+      if (overrides) lic.features = { ...(lic.features || {}), ...overrides };
+      if (exp) lic.expiresAt = exp;
+      if (lic.status === "active" && !lic.token) lic.token = generateLicenseToken();
+      await saveLicense(lic, adminCtx(req, "admin.patch"));
+      res.json(lic);
+    } catch (err) {
+      logger.error("admin license patch error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Extender vencimiento: { days } y/o { months }. Suma desde el vencimiento actual o desde hoy si ya venció.
+  router.post("/licenses/:id/extend", async (req, res) => {
+    try {
+      const days = Number(req.body?.days || 0);
+      const months = Number(req.body?.months || 0);
+      if (!Number.isInteger(days) || !Number.isInteger(months) || days < 0 || months < 0 || (!days && !months)) {
+        return res.status(400).json({ error: "days o months (enteros positivos) requeridos" });
+      }
+
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+
+      const base = lic.expiresAt && new Date(lic.expiresAt).getTime() > Date.now() ? new Date(lic.expiresAt) : new Date();
+      if (months) base.setMonth(base.getMonth() + months);
+      if (days) base.setDate(base.getDate() + days);
+      lic.expiresAt = base;
+      await saveLicense(lic, adminCtx(req, "admin.extend"));
+      res.json(lic);
+    } catch (err) {
+      logger.error("admin license extend error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Dispositivos vinculados con su detalle (nombre, versión, última conexión)
+  router.get("/licenses/:id/devices", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      res.json(await listLicenseDevices(lic));
+    } catch (err) {
+      logger.error("admin license devices error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Desvincular todos los dispositivos
+  router.post("/licenses/:id/devices/reset", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      const released = lic.devices || [];
+      lic.devices = [];
+      await sequelize.transaction(async (transaction) => {
+        await saveLicense(lic, adminCtx(req, "admin.devices_reset", { transaction }));
+        await recordDeviceRelease(lic, released, { actor: "admin", transaction });
+      });
+      res.json(lic);
+    } catch (err) {
+      logger.error("admin devices reset error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Override: perdona el límite de cambios y los cooldowns pendientes de la licencia
+  router.post("/licenses/:id/devices/swaps/reset", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      const waived = await waiveDeviceReleases(lic);
+      await saveLicense(lic, adminCtx(req, "admin.device_swaps_reset", { force: true }));
+      res.json({ ok: true, waived });
+    } catch (err) {
+      logger.error("admin device swaps reset error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Entitlements: efectivos (los que van al JWS), defaults del plan y overrides de la licencia
+  router.get("/licenses/:id/entitlements", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      const plan = await getPlan(lic.plan);
+      res.json({
+        effective: resolveEntitlements(plan, lic),
+        plan: plan?.features || {},
+        overrides: lic.features || {}
+      });
+    } catch (err) {
+      logger.error("admin license entitlements error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Setear overrides { key: value } (null en un límite = sin límite)
+  router.patch("/licenses/:id/entitlements", async (req, res) => {
+    try {
+      let overrides;
+      try { overrides = validateEntitlements(req.body); }
+      catch (e) { return res.status(400).json({ error: e.message }); }
+
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      lic.features = { ...(lic.features || {}), ...overrides };
+      await saveLicense(lic, adminCtx(req, "admin.entitlements"));
+      res.json({ effective: resolveEntitlements(await getPlan(lic.plan), lic), overrides: lic.features });
+    } catch (err) {
+      logger.error("admin license entitlements patch error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Quitar un override (vuelve al valor del plan)
+  router.delete("/licenses/:id/entitlements/:key", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      const { [req.params.key]: removed, ...rest } = lic.features || {};
+      if (removed === undefined) return res.status(404).json({ error: "La licencia no tiene ese override" });
+      lic.features = rest;
+      await saveLicense(lic, adminCtx(req, "admin.entitlements"));
+      res.json({ effective: resolveEntitlements(await getPlan(lic.plan), lic), overrides: lic.features });
+    } catch (err) {
+      logger.error("admin license entitlement delete error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Regenerar token de licencia (el anterior deja de validar)
+  router.post("/licenses/:id/token", async (req, res) => {
+    try {
+      const lic = await findLicenseOr404(req, res);
+      if (!lic) return;
+      lic.token = generateLicenseToken();
+      await saveLicense(lic, adminCtx(req, "admin.token", { force: true }));
+      res.json(lic);
+    } catch (err) {
+      logger.error("admin token regenerate error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Revocaciones (JWS offline) ----- */
+
+  // ?licenseId=&kind=&page=&pageSize=
+  router.get("/revocations", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const where = {};
+      if (req.query.licenseId) where.licenseId = Number(req.query.licenseId);
+      if (req.query.kind) where.kind = String(req.query.kind);
+      const result = await LicenseRevocation.findAndCountAll({
+        where,
+        order: [["id", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin revocations list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Revocar ya los JWS de una licencia { licenseId } o uno puntual { jti, licenseId? }
+  router.post("/revocations", async (req, res) => {
+    try {
+      const { licenseId, jti, reason } = req.body || {};
+      if (!licenseId && !jti) return res.status(400).json({ error: "licenseId o jti requerido" });
+      if (licenseId && !(await License.findByPk(licenseId))) return res.status(404).json({ error: "Licencia no encontrada" });
+      const row = await createRevocation({
+        licenseId: licenseId ? Number(licenseId) : null,
+        jti,
+        reason: reason ? String(reason).slice(0, 60) : "admin"
+      });
+      res.status(201).json(row);
+    } catch (err) {
+      logger.error("admin revocation create error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Claves de firma ----- */
+
+  router.get("/signing-keys", async (req, res) => {
+    try {
+      res.json(await listSigningKeys());
+    } catch (err) {
+      logger.error("admin signing keys list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Genera una clave nueva (pending: se publica en el JWKS pero todavía no firma)
+  router.post("/signing-keys", async (req, res) => {
+    try {
+      const key = await generateSigningKey();
+      res.status(201).json(pickFields(key.toJSON(), SIGNING_KEY_ATTRS));
+    } catch (err) {
+      logger.error("admin signing key generate error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Promueve una clave pending a activa (la anterior pasa a retiring)
+  router.post("/signing-keys/:kid/promote", async (req, res) => {
+    try {
+      const key = await promoteSigningKey(req.params.kid);
+      logger.info("signing key promovida", { kid: key.kid, adminId: req.user.id });
+      res.json(pickFields(key.toJSON(), SIGNING_KEY_ATTRS));
+    } catch (err) {
+      logger.error("admin signing key promote error", err);
+      const status = Number(err?.status) || 500;
+      res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+    }
+  });
+
+  // Retira una clave ya (los JWS firmados con ella dejan de verificar)
+  router.post("/signing-keys/:kid/retire", async (req, res) => {
+    try {
+      const key = await retireSigningKey(req.params.kid);
+      logger.info("signing key retirada", { kid: key.kid, adminId: req.user.id });
+      res.json(pickFields(key.toJSON(), SIGNING_KEY_ATTRS));
+    } catch (err) {
+      logger.error("admin signing key retire error", err);
+      const status = Number(err?.status) || 500;
+      res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Claves prepagas (revendedores) ----- */
+
+  // ?resellerId=&status=issued|redeemed|expired&plan=&batchId=&page=&pageSize=
+  router.get("/prepaid-keys", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const { resellerId, status, plan, batchId } = req.query;
+      if (status && !KEY_STATUSES.includes(status)) return res.status(400).json({ error: "Estado inválido" });
+      const where = prepaidKeysWhere({ resellerId: resellerId ? Number(resellerId) : undefined, status, plan, batchId });
+      res.json(paginated(await listPrepaidKeys(where, pg), pg));
+    } catch (err) {
+      logger.error("admin prepaid keys list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Planes ----- */
+
+  // Todos los planes (incluye los que ya no están a la venta)
+  router.get("/plans", async (req, res) => {
+    try {
+      res.json(await Plan.findAll({ order: [["price", "ASC"], ["code", "ASC"]] }));
+    } catch (err) {
+      logger.error("admin plans list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  router.post("/plans", async (req, res) => {
+    try {
+      const data = pickFields(req.body, PLAN_FIELDS);
+      if (!data.code || !data.name || data.price === undefined) {
+        return res.status(400).json({ error: "code, name y price requeridos" });
+      }
+      if (data.features !== undefined) {
+        try { data.features = validateEntitlements(data.features); }
+        catch (e) { return res.status(400).json({ error: e.message }); }
+      }
+      if (await getPlan(data.code)) return res.status(409).json({ error: "Ya existe un plan con ese código" });
+      res.status(201).json(await Plan.create(data));
+    } catch (err) {
+      if (err?.name === "SequelizeValidationError") return res.status(400).json({ error: err.errors?.[0]?.message || "Plan inválido" });
+      logger.error("admin plan create error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Editar plan (el código no cambia: lo referencian las licencias)
+  router.patch("/plans/:code", async (req, res) => {
+    try {
+      const plan = await getPlan(req.params.code);
+      if (!plan) return res.status(404).json({ error: "Plan no encontrado" });
+      const { code, ...data } = pickFields(req.body, PLAN_FIELDS);
+      if (data.features !== undefined) {
+        try { data.features = validateEntitlements(data.features); }
+        catch (e) { return res.status(400).json({ error: e.message }); }
+      }
+      await plan.update(data);
+      res.json(plan);
+    } catch (err) {
+      if (err?.name === "SequelizeValidationError") return res.status(400).json({ error: err.errors?.[0]?.message || "Plan inválido" });
+      logger.error("admin plan update error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Entitlements ----- */
+
+  // Registro de entitlements (clave, tipo, default)
+  router.get("/entitlements", (req, res) => {
+    res.json(listEntitlements());
+  });
+
+  /* ----- Cupones ----- */
+
+  router.get("/coupons", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const where = {};
+      if (req.query.q) where.code = { [Op.iLike]: `%${String(req.query.q).trim()}%` };
+      const result = await Coupon.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin coupons list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  router.post("/coupons", async (req, res) => {
+    try {
+      const data = pickFields(req.body, COUPON_FIELDS);
+      if (!data.code || !["percent", "fixed"].includes(data.type) || data.value === undefined) {
+        return res.status(400).json({ error: "code, type (percent|fixed) y value requeridos" });
+      }
+      if (data.type === "percent" && !(Number(data.value) > 0 && Number(data.value) <= 100)) {
+        return res.status(400).json({ error: "value debe estar entre 0 y 100 para cupones percent" });
+      }
+      res.status(201).json(await Coupon.create(data));
+    } catch (err) {
+      if (err?.name === "SequelizeUniqueConstraintError") return res.status(409).json({ error: "Ya existe un cupón con ese código" });
+      if (err?.name === "SequelizeValidationError") return res.status(400).json({ error: err.errors?.[0]?.message || "Cupón inválido" });
+      logger.error("admin coupon create error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Editar cupón (código y tipo no cambian: ya hay canjes hechos con ellos)
+  router.patch("/coupons/:code", async (req, res) => {
+    try {
+      const coupon = await Coupon.findOne({ where: { code: String(req.params.code).toUpperCase() } });
+      if (!coupon) return res.status(404).json({ error: "Cupón no encontrado" });
+      const { code, type, ...data } = pickFields(req.body, COUPON_FIELDS);
+      await coupon.update(data);
+      res.json(coupon);
+    } catch (err) {
+      if (err?.name === "SequelizeValidationError") return res.status(400).json({ error: err.errors?.[0]?.message || "Cupón inválido" });
+      logger.error("admin coupon update error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  router.get("/coupons/:code/redemptions", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const result = await CouponRedemption.findAndCountAll({
+        include: [
+          { model: Coupon, as: "coupon", where: { code: String(req.params.code).toUpperCase() }, attributes: ["id", "code"] },
+          { model: User, as: "user", attributes: ["id", "email"] }
+        ],
+        order: [["createdAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin coupon redemptions error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Webhooks (inbox MP) ----- */
+
+  // Listar notificaciones: ?status=dead&topic=preapproval&dataId=&page=&pageSize=
+  router.get("/webhooks", async (req, res) => {
+    try {
+      const pg = parsePagination(req.query);
+      const { status, topic, dataId } = req.query;
+      const where = {};
+      if (status) {
+        if (!WEBHOOK_STATUSES.includes(status)) return res.status(400).json({ error: "Estado inválido" });
+        where.status = status;
+      }
+      if (topic) where.topic = String(topic);
+      if (dataId) where.dataId = String(dataId);
+
+      const result = await WebhookEvent.findAndCountAll({
+        where,
+        order: [["updatedAt", "DESC"]],
+        limit: pg.limit,
+        offset: pg.offset
+      });
+      res.json(paginated(result, pg));
+    } catch (err) {
+      logger.error("admin webhooks list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Reprocesar una notificación (dead, done o ignorada)
+  router.post("/webhooks/:id/replay", async (req, res) => {
+    try {
+      const event = await replayWebhook(req.params.id);
+      if (!event) return res.status(404).json({ error: "Notificación no encontrada" });
+      res.json(event);
+    } catch (err) {
+      logger.error("admin webhook replay error", err);
+      const status = Number(err?.status) || 500;
+      res.status(status).json({ error: status === 400 ? err.message : "Error interno del servidor." });
+    }
+  });
+
+  /* ----- Jobs ----- */
+
+  // Corre el job de vencimientos ya (en vez de esperar al intervalo)
+  router.post("/jobs/license-sweep", async (req, res) => {
+    try {
+      const result = await runLicenseSweepOnce();
+      if (!result) return res.status(409).json({ error: "El job ya está corriendo" });
+      res.json(result);
+    } catch (err) {
+      logger.error("admin license sweep error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  return router;
+}
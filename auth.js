@@ -1,6 +1,10 @@
 // backend/auth.js
 import jwt from "jsonwebtoken";
 
+import { Session, User } from "./models.js";
+import { getSetting } from "./settings.js";
+import { logger } from "./logger.js";
+
 // Carga .env si este archivo se ejecuta por separado (tests/scripts)
 if (!process.env.JWT_SECRET) {
   await import("dotenv/config");
@@ -17,11 +21,36 @@ function getTokenFromHeader(req) {
   return auth.slice("Bearer ".length).trim();
 }
 
+/**
+ * Verifica contra la DB la sesión del access token (sid).
+ * Devuelve la sesión (con su usuario) o null si fue revocada / venció o si el token
+ * es anterior al último cambio de contraseña.
+ */
+async function loadSession(decoded) {
+  if (!decoded.sid || decoded.purpose) return null; // tokens viejos sin sesión o tokens intermedios (mfa)
+  const session = await Session.findByPk(decoded.sid, {
+    include: [{ model: User, as: "user", attributes: ["id", "email", "role", "passwordChangedAt", "totpEnabledAt"] }]
+  });
+  if (!session || session.revokedAt || session.userId !== decoded.id || !session.user) return null;
+  if (new Date(session.expiresAt) < new Date()) return null;
+
+  const changedAt = session.user.passwordChangedAt;
+  if (changedAt && decoded.iat < Math.floor(new Date(changedAt).getTime() / 1000)) return null;
+  return session;
+}
+
+/** ¿La política exige 2FA a este usuario? (rol admin con security.requireAdmin2fa) */
+export async function twoFactorRequiredFor(user) {
+  return user.role === "admin" && !!(await getSetting("security.requireAdmin2fa"));
+}
+
 /**
  * Middleware de autenticación.
  * - Verifica el JWT (HS256) emitido por el backend.
- * - Adjunta req.user con { id, email, role }.
+ * - Verifica que su sesión siga vigente (logout / cambio de contraseña la invalidan).
+ * - Adjunta req.user con { id, email, role, sid } (rol leído de la DB).
  * - Si pasás requiredRole, valida que el usuario tenga ese rol.
+ * - Para "admin", si la política exige 2FA, la sesión tiene que haber pasado el segundo factor.
  *
  * Uso:
  *   const auth = authMiddleware();
@@ -32,38 +61,69 @@ function getTokenFromHeader(req) {
  */
 export function authMiddleware(requiredRole = null) {
   if (!JWT_SECRET) {
-    console.error("[auth] Falta JWT_SECRET en variables de entorno");
+    logger.error("Falta JWT_SECRET en variables de entorno");
     throw new Error("JWT_SECRET requerido");
   }
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
+    let decoded;
     try {
       const token = getTokenFromHeader(req);
       if (!token) {
         return res.status(401).json({ error: "No autorizado: token faltante" });
       }
-
-      const decoded = jwt.verify(token, JWT_SECRET);
-      // decoded: { id, email, role, iat, exp }
-      if (requiredRole && decoded.role !== requiredRole) {
-        return res.status(403).json({ error: "Prohibido: rol insuficiente" });
-      }
-
-      req.user = { id: decoded.id, email: decoded.email, role: decoded.role };
-      next();
+      decoded = jwt.verify(token, JWT_SECRET);
+      // decoded: { id, email, role, sid, iat, exp }
     } catch (err) {
       // Posibles errores: TokenExpiredError, JsonWebTokenError, NotBeforeError
       const code = err?.name === "TokenExpiredError" ? 401 : 401;
       return res.status(code).json({ error: "Token inválido o expirado" });
     }
+
+    let session;
+    try {
+      session = await loadSession(decoded);
+      if (session && requiredRole === "admin" && session.user.role === "admin" && !session.mfa &&
+          await twoFactorRequiredFor(session.user)) {
+        return res.status(403).json({
+          error: "Se requiere verificación en dos pasos para administrar",
+          mfaRequired: true,
+          enrolled: !!session.user.totpEnabledAt
+        });
+      }
+    } catch (err) {
+      logger.error("auth: error verificando sesión", err);
+      return res.status(500).json({ error: "Error interno del servidor." });
+    }
+    if (!session) return res.status(401).json({ error: "Sesión cerrada o inválida" });
+
+    const user = session.user;
+    if (requiredRole && user.role !== requiredRole) {
+      return res.status(403).json({ error: "Prohibido: rol insuficiente" });
+    }
+
+    req.user = { id: user.id, email: user.email, role: user.role, sid: decoded.sid, mfa: session.mfa };
+    next();
   };
 }
 
 /**
- * (Opcional) Si alguna vez querés emitir tokens desde otro módulo.
- * En `server.js` ya usás su propia función, esto queda disponible por si lo necesitás en otra parte.
+ * Firma un JWT (HS256) con JWT_SECRET.
+ * Los access tokens del panel se emiten desde sessions.js (llevan el sid de la sesión).
  */
 export function issueToken(payload, expiresIn = "7d") {
   if (!JWT_SECRET) throw new Error("JWT_SECRET requerido");
   return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
+
+/**
+ * Verifica un JWT propio (HS256). Devuelve el payload o null si es inválido o venció.
+ */
+export function verifyToken(token) {
+  if (!JWT_SECRET) throw new Error("JWT_SECRET requerido");
+  try {
+    return jwt.verify(String(token || ""), JWT_SECRET);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,181 @@
+// backend/billing.js
+import { Op } from "sequelize";
+
+import { sequelize, Payment } from "./models.js";
+import { getAuthorizedPaymentById, getPaymentById } from "./mercadopago.js";
+import { generateLicenseToken, findLicenseForPreapproval } from "./licenses.js";
+import { getPlan, addBillingPeriod } from "./plans.js";
+import { saveLicense } from "./license-events.js";
+import { logger as baseLogger } from "./logger.js";
+
+/**
+ * Cobros de suscripciones.
+ * - Cada cobro de MP (authorized_payment y/o payment) se guarda en Payment.
+ * - Solo un pago "approved" extiende License.expiresAt, una única vez (appliedAt).
+ * - Un mismo cobro puede llegar primero como authorized_payment sin payment.id y después como
+ *   payment: se une a la factura abierta de la preaprobación y, si ya quedaron dos filas, se
+ *   fusionan en una cuando aparece el id que faltaba (nunca se aplica dos veces).
+ * - El período cubierto arranca al final del último período pago (o ahora si ya venció)
+ *   y dura lo que la frecuencia de cobro del plan de la licencia.
+ */
+
+// Atributos visibles para el usuario en /billing/payments
+export const PAYMENT_ATTRS = [
+  "id", "licenseId", "mpPaymentId", "mpAuthorizedPaymentId", "mpPreapprovalId",
+  "amount", "currency", "status", "statusDetail", "paidAt", "periodStart", "periodEnd", "createdAt"
+];
+
+const logger = baseLogger.child({ module: "billing" });
+// Ventana para asociar un payment a la factura (authorized_payment) todavía sin payment.id
+const UNLINKED_WINDOW_MS = 3 * 86400_000;
+
+/**
+ * Factura de la misma preaprobación y monto, reciente y todavía sin payment.id:
+ * es el mismo cobro que llega por el topic payment sin saber su authorized_payment.
+ */
+function findUnlinkedInvoice(data, transaction) {
+  if (!data.mpPaymentId || data.mpAuthorizedPaymentId || !data.mpPreapprovalId) return null;
+  return Payment.findOne({
+    where: {
+      mpPreapprovalId: data.mpPreapprovalId,
+      mpPaymentId: null,
+      mpAuthorizedPaymentId: { [Op.ne]: null },
+      amount: data.amount,
+      createdAt: { [Op.gte]: new Date(Date.now() - UNLINKED_WINDOW_MS) }
+    },
+    order: [["createdAt", "DESC"]],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+}
+
+/**
+ * Fusiona las filas de un mismo cobro (una por id de pago y otra por id de authorized_payment).
+ * Se queda con la que ya se aplicó a la licencia, así el período no se suma dos veces.
+ */
+async function mergePayments(rows, transaction) {
+  const keep = rows.find(r => r.appliedAt) || rows[0];
+  for (const dup of rows.filter(r => r !== keep)) {
+    if (dup.appliedAt && keep.appliedAt) {
+      logger.warn("Cobro duplicado ya aplicado dos veces", { paymentId: keep.id, duplicateId: dup.id, licenseId: keep.licenseId });
+    }
+    if (!keep.mpPaymentId) keep.mpPaymentId = dup.mpPaymentId;
+    if (!keep.mpAuthorizedPaymentId) keep.mpAuthorizedPaymentId = dup.mpAuthorizedPaymentId;
+    await dup.destroy({ transaction }); // antes de guardar keep: los ids son únicos
+  }
+  return keep;
+}
+
+/**
+ * Crea o actualiza el Payment (matcheando por id de pago o de authorized_payment, o la factura
+ * abierta del mismo cobro) y, si quedó aprobado, extiende la licencia. Todo en una transacción.
+ */
+async function upsertPayment(data, lic, mpPayloadId) {
+  const or = [];
+  if (data.mpPaymentId) or.push({ mpPaymentId: data.mpPaymentId });
+  if (data.mpAuthorizedPaymentId) or.push({ mpAuthorizedPaymentId: data.mpAuthorizedPaymentId });
+  if (!or.length) throw new Error("Pago sin id de MP");
+
+  return sequelize.transaction(async (transaction) => {
+    const rows = await Payment.findAll({ where: { [Op.or]: or }, transaction, lock: transaction.LOCK.UPDATE });
+    let payment = rows.length ? await mergePayments(rows, transaction) : await findUnlinkedInvoice(data, transaction);
+    // No pisamos ids ya conocidos con null (cada topic trae solo parte de la info)
+    const clean = Object.fromEntries(Object.entries(data).filter(([, v]) => v !== null && v !== undefined));
+    if (payment) payment.set(clean);
+    else payment = Payment.build(clean);
+    if (lic) {
+      payment.licenseId = lic.id;
+      payment.userId = lic.userId;
+    }
+
+    if (payment.status === "approved" && !payment.appliedAt && lic) {
+      await applyApprovedPayment(payment, lic, mpPayloadId, transaction);
+    }
+    await payment.save({ transaction });
+    return payment;
+  });
+}
+
+async function applyApprovedPayment(payment, lic, mpPayloadId, transaction) {
+  const now = new Date();
+  const last = await Payment.findOne({
+    where: { licenseId: lic.id, appliedAt: { [Op.ne]: null } },
+    order: [["periodEnd", "DESC"]],
+    transaction
+  });
+  const start = last?.periodEnd && new Date(last.periodEnd) > now ? new Date(last.periodEnd) : now;
+  const end = addBillingPeriod(start, await getPlan(lic.plan));
+
+  payment.periodStart = start;
+  payment.periodEnd = end;
+  payment.appliedAt = now;
+
+  // Nunca acortamos un vencimiento (p. ej. si un admin lo extendió a mano)
+  if (!lic.expiresAt || new Date(lic.expiresAt) < end) lic.expiresAt = end;
+  if (["inactive", "expired"].includes(lic.status)) lic.status = "active";
+  lic.trial = false;
+  if (!lic.token) lic.token = generateLicenseToken();
+  await saveLicense(lic, { actor: "webhook", action: "billing.payment_approved", mpPayloadId, transaction });
+}
+
+/* =========================
+   Handlers de webhook
+========================= */
+
+/** topic subscription_authorized_payment: cobro mensual de una preaprobación */
+export async function processAuthorizedPayment(evt) {
+  const ap = await getAuthorizedPaymentById(evt.dataId);
+  const lic = await findLicenseForPreapproval(ap.preapproval_id, ap.external_reference);
+
+  await upsertPayment({
+    mpAuthorizedPaymentId: String(ap.id),
+    mpPaymentId: ap.payment?.id ? String(ap.payment.id) : null,
+    mpPreapprovalId: ap.preapproval_id || null,
+    amount: Number(ap.transaction_amount || 0),
+    currency: String(ap.currency_id || "ARS").toUpperCase(),
+    // status de la factura ("processed", "scheduled", ...) salvo que ya haya un pago asociado
+    status: ap.payment?.status || ap.status || "pending",
+    statusDetail: ap.payment?.status_detail || ap.reason || null,
+    paidAt: ap.payment?.status === "approved" ? new Date(ap.last_modified || ap.debit_date || Date.now()) : null
+  }, lic, evt.dataId);
+}
+
+/** topic payment: pago individual (solo nos interesan los asociados a una suscripción/licencia) */
+export async function processPayment(evt) {
+  const p = await getPaymentById(evt.dataId);
+  const preapprovalId =
+    p.metadata?.preapproval_id ||
+    p.point_of_interaction?.transaction_data?.subscription_id ||
+    null;
+  const lic = await findLicenseForPreapproval(preapprovalId, p.external_reference);
+  if (!lic) return; // pago ajeno a licencias
+
+  await upsertPayment({
+    mpPaymentId: String(p.id),
+    mpPreapprovalId: preapprovalId,
+    amount: Number(p.transaction_amount || 0),
+    currency: String(p.currency_id || "ARS").toUpperCase(),
+    status: p.status || "pending",
+    statusDetail: p.status_detail || null,
+    paidAt: p.date_approved ? new Date(p.date_approved) : null
+  }, lic, evt.dataId);
+}
+
+/* =========================
+   Consultas
+========================= */
+/** Cobros visibles para un usuario: los que pagó y los de las licencias que administra (licenseIds) */
+export function userPaymentsWhere(userId, licenseIds = []) {
+  return licenseIds.length ? { [Op.or]: [{ userId }, { licenseId: licenseIds }] } : { userId };
+}
+
+export function listUserPayments(userId, { licenseIds = [], licenseId = null, limit = 20, offset = 0 } = {}) {
+  const visible = userPaymentsWhere(userId, licenseIds);
+  return Payment.findAndCountAll({
+    where: licenseId ? { [Op.and]: [visible, { licenseId }] } : visible,
+    attributes: PAYMENT_ATTRS,
+    order: [["createdAt", "DESC"], ["id", "DESC"]],
+    limit,
+    offset
+  });
+}
@@ -0,0 +1,184 @@
+// backend/coupons.js
+import { Op, UniqueConstraintError } from "sequelize";
+
+import { sequelize, Coupon, CouponRedemption, License } from "./models.js";
+import { updatePreapprovalAmount } from "./mercadopago.js";
+import { getPlan } from "./plans.js";
+import { logger } from "./logger.js";
+
+/**
+ * Cupones de descuento.
+ * - El descuento se aplica al monto de la preaprobación (auto_recurring.transaction_amount).
+ * - Un canje por usuario y cupón; maxRedemptions se respeta con un UPDATE condicional.
+ * - El canje queda pendiente (reserva el cupo) hasta que MP autoriza la preaprobación: ahí se
+ *   confirma y empiezan a correr los durationMonths. Si la preaprobación se cancela o se abandona
+ *   se libera; una nueva suscripción del mismo usuario retoma su reserva pendiente.
+ * - Pasados durationMonths, el sweeper vuelve la preaprobación al precio completo del plan.
+ */
+
+function couponError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/** Monto con descuento (2 decimales, nunca negativo) */
+export function applyDiscount(coupon, price) {
+  const full = Number(price);
+  const value = Number(coupon.value);
+  const off = coupon.type === "percent" ? full * value / 100 : value;
+  return Math.max(0, Math.round((full - off) * 100) / 100);
+}
+
+/**
+ * Valida que un cupón se pueda canjear (sin reservarlo).
+ * @throws Error con status 400/404/409 y mensaje para el usuario
+ */
+export async function findRedeemableCoupon(code, userId, { transaction } = {}) {
+  const coupon = await Coupon.findOne({ where: { code: String(code || "").trim().toUpperCase() }, transaction });
+  if (!coupon || !coupon.active) throw couponError(404, "Cupón inválido");
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < new Date()) throw couponError(400, "El cupón está vencido");
+  const own = await CouponRedemption.findOne({ where: { couponId: coupon.id, userId }, transaction });
+  if (own && !own.pending) throw couponError(409, "Ya usaste este cupón");
+  // Con una reserva pendiente propia (checkout abandonado) el cupo ya está tomado
+  if (!own && coupon.maxRedemptions && coupon.redemptionsCount >= coupon.maxRedemptions) {
+    throw couponError(409, "El cupón alcanzó su límite de canjes");
+  }
+  return coupon;
+}
+
+function discountEndFrom(coupon, start = new Date()) {
+  if (!coupon.durationMonths) return null;
+  const d = new Date(start); d.setMonth(d.getMonth() + coupon.durationMonths);
+  return d;
+}
+
+/**
+ * Registra el canje pendiente de la preaprobación (usar en la transacción que guarda la licencia).
+ * Si el usuario ya tenía uno pendiente del mismo cupón, lo pasa a la preaprobación nueva.
+ * @param {Coupon} coupon
+ * @param {Object} p - { userId, licenseId, mpPreapprovalId, fullAmount, amount, transaction }
+ */
+export async function redeemCoupon(coupon, { userId, licenseId, mpPreapprovalId, fullAmount, amount, transaction }) {
+  const own = await CouponRedemption.findOne({
+    where: { couponId: coupon.id, userId, pending: true },
+    transaction,
+    lock: transaction?.LOCK.UPDATE
+  });
+  if (own) return own.update({ licenseId, mpPreapprovalId, fullAmount, amount }, { transaction });
+
+  const [n] = await Coupon.update(
+    { redemptionsCount: sequelize.literal(`"redemptionsCount" + 1`) },
+    {
+      where: {
+        id: coupon.id,
+        [Op.or]: [
+          { maxRedemptions: null },
+          { redemptionsCount: { [Op.lt]: sequelize.col("maxRedemptions") } }
+        ]
+      },
+      transaction
+    }
+  );
+  if (!n) throw couponError(409, "El cupón alcanzó su límite de canjes");
+
+  try {
+    return await CouponRedemption.create(
+      { couponId: coupon.id, userId, licenseId, mpPreapprovalId, fullAmount, amount, pending: true },
+      { transaction }
+    );
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) throw couponError(409, "Ya usaste este cupón");
+    throw err;
+  }
+}
+
+/**
+ * MP autorizó la preaprobación: confirma su canje pendiente y el descuento corre desde ahora.
+ * @returns {Promise<CouponRedemption|null>}
+ */
+export async function confirmCouponRedemption(mpPreapprovalId) {
+  const r = await CouponRedemption.findOne({
+    where: { mpPreapprovalId: String(mpPreapprovalId), pending: true },
+    include: [{ model: Coupon, as: "coupon" }]
+  });
+  if (!r) return null;
+  r.pending = false;
+  r.discountEndsAt = discountEndFrom(r.coupon);
+  await r.save();
+  return r;
+}
+
+/**
+ * Preaprobación cancelada o abandonada sin autorizar: borra su canje pendiente y devuelve el cupo.
+ * @returns {Promise<boolean>} si había algo que liberar
+ */
+export function releaseCouponRedemption(mpPreapprovalId) {
+  return sequelize.transaction(async (transaction) => {
+    const r = await CouponRedemption.findOne({
+      where: { mpPreapprovalId: String(mpPreapprovalId), pending: true },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!r) return false;
+    await r.destroy({ transaction });
+    await Coupon.update(
+      { redemptionsCount: sequelize.literal(`GREATEST("redemptionsCount" - 1, 0)`) },
+      { where: { id: r.couponId }, transaction }
+    );
+    return true;
+  });
+}
+
+/** Canje con descuento todavía vigente para una licencia (o null) */
+export function activeRedemptionFor(lic) {
+  return CouponRedemption.findOne({
+    where: {
+      licenseId: lic.id,
+      pending: false,
+      revertedAt: null,
+      [Op.or]: [{ discountEndsAt: null }, { discountEndsAt: { [Op.gt]: new Date() } }]
+    },
+    include: [{ model: Coupon, as: "coupon" }],
+    order: [["createdAt", "DESC"]]
+  });
+}
+
+/** Precio a cobrar por un plan para una licencia (con el descuento vigente si lo hay) */
+export async function priceForLicense(plan, lic) {
+  const redemption = lic ? await activeRedemptionFor(lic) : null;
+  return redemption ? applyDiscount(redemption.coupon, plan.price) : Number(plan.price);
+}
+
+/**
+ * Descuentos vencidos: vuelve la preaprobación al precio completo del plan actual.
+ * Lo llama el sweeper. Devuelve cuántos canjes cerró.
+ */
+export async function revertExpiredDiscounts(now = new Date(), limit = 100) {
+  const due = await CouponRedemption.findAll({
+    where: { revertedAt: null, discountEndsAt: { [Op.lte]: now } },
+    include: [{ model: License, as: "license" }],
+    order: [["discountEndsAt", "ASC"]],
+    limit
+  });
+
+  let reverted = 0;
+  for (const r of due) {
+    const lic = r.license;
+    try {
+      // Solo hay algo que revertir si la suscripción sigue viva en MP
+      if (lic?.mpPreapprovalId && !["cancelled", "expired"].includes(lic.status)) {
+        const plan = await getPlan(lic.plan);
+        if (plan) {
+          await updatePreapprovalAmount(lic.mpPreapprovalId, { amount: Number(plan.price), currency: plan.currency });
+        }
+      }
+      r.revertedAt = now;
+      await r.save();
+      reverted++;
+    } catch (err) {
+      logger.error("coupons: no se pudo revertir el canje", { redemptionId: r.id, err });
+    }
+  }
+  return reverted;
+}
@@ -0,0 +1,158 @@
+// backend/device-keys.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { Device, DeviceChallenge } from "./models.js";
+import { ensureDevice } from "./devices.js";
+import { keyThumbprint } from "./signing-keys.js";
+
+/**
+ * Prueba de posesión de la clave del dispositivo (evita clonar un cupo con token + deviceId).
+ * - En el primer validate la app manda `devicePublicKey` (SPKI PEM: Ed25519, EC P-256 o RSA >= 2048)
+ *   y queda registrada en Device (confianza en el primer uso).
+ * - Desde ahí, validate y refresh de ese equipo exigen firmar un nonce de /public/license/challenge
+ *   con la privada: { nonce, signature } (base64url; EC en formato JWS r||s o DER).
+ * - El JWS lleva el thumbprint de la clave ("dkt") para comprobar el vínculo offline.
+ * - Al desvincular el equipo la clave se olvida (saveLicense): al volver registra una nueva.
+ * - DEVICE_KEY_REQUIRED=true rechaza equipos sin clave (por defecto las apps viejas siguen andando).
+ */
+
+const CHALLENGE_TTL_SEC = Number(process.env.DEVICE_CHALLENGE_TTL_SEC || 120);
+const KEY_REQUIRED = String(process.env.DEVICE_KEY_REQUIRED || "false") === "true";
+const MAX_PEM_LENGTH = 4096;
+
+function deviceKeyError(status, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  Object.assign(e, extra);
+  return e;
+}
+
+/**
+ * Valida la pública que manda la app.
+ * @returns {{ pem: string, thumbprint: string }} PEM normalizado (SPKI)
+ * @throws Error status 400 si no es una clave soportada
+ */
+export function parseDevicePublicKey(value) {
+  let key;
+  try {
+    if (typeof value !== "string" || value.length > MAX_PEM_LENGTH) throw new Error("formato");
+    key = crypto.createPublicKey(value);
+  } catch {
+    throw deviceKeyError(400, "devicePublicKey inválida (se espera una clave pública PEM)");
+  }
+  const type = key.asymmetricKeyType;
+  const ok = type === "ed25519"
+    || (type === "ec" && key.asymmetricKeyDetails?.namedCurve === "prime256v1")
+    || (type === "rsa" && key.asymmetricKeyDetails?.modulusLength >= 2048);
+  if (!ok) throw deviceKeyError(400, "Tipo de clave no soportado (Ed25519, EC P-256 o RSA >= 2048)");
+  return { pem: key.export({ type: "spki", format: "pem" }), thumbprint: keyThumbprint(key) };
+}
+
+/** Firma de la app con su clave (base64url; EC como r||s o DER). También la usa offline-activation.js */
+export function verifyDeviceSignature(publicKeyPem, data, signature) {
+  const key = crypto.createPublicKey(publicKeyPem);
+  const sig = Buffer.from(String(signature), "base64url");
+  if (!sig.length) return false;
+  try {
+    if (key.asymmetricKeyType === "ed25519") return crypto.verify(null, data, key, sig);
+    if (key.asymmetricKeyType === "ec") {
+      const dsaEncoding = sig.length === 64 ? "ieee-p1363" : "der";
+      return crypto.verify("sha256", data, { key, dsaEncoding }, sig);
+    }
+    return crypto.verify("sha256", data, key, sig);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Emite un nonce de un solo uso para el equipo (vence en DEVICE_CHALLENGE_TTL_SEC).
+ * @returns {Promise<{ nonce: string, expiresAt: Date }>}
+ */
+export async function issueDeviceChallenge(lic, deviceId) {
+  const nonce = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SEC * 1000);
+  await DeviceChallenge.create({ licenseId: lic.id, deviceId: String(deviceId), nonce, expiresAt });
+  return { nonce, expiresAt };
+}
+
+/**
+ * Verifica la firma del nonce con la clave registrada y lo consume.
+ * @throws Error status 401 (challengeRequired) si falta, venció o la firma no coincide
+ */
+async function consumeDeviceProof(lic, device, { nonce, signature } = {}) {
+  if (!nonce || !signature) {
+    throw deviceKeyError(401, "Este dispositivo debe firmar un challenge (nonce + signature)", { challengeRequired: true });
+  }
+  if (!verifyDeviceSignature(device.publicKeyPem, Buffer.from(String(nonce), "utf8"), signature)) {
+    throw deviceKeyError(401, "Firma del dispositivo inválida", { challengeRequired: true });
+  }
+  const now = new Date();
+  const [n] = await DeviceChallenge.update(
+    { usedAt: now },
+    {
+      where: {
+        nonce: String(nonce),
+        licenseId: lic.id,
+        deviceId: device.deviceId,
+        usedAt: null,
+        expiresAt: { [Op.gt]: now }
+      }
+    }
+  );
+  if (!n) throw deviceKeyError(401, "Challenge inválido o vencido", { challengeRequired: true });
+}
+
+/**
+ * Resuelve la clave del equipo para validate / refresh.
+ * - Con clave registrada: exige la prueba de posesión.
+ * - Sin clave: toma `devicePublicKey` del body para registrarla (registerDeviceKey) una vez vinculado.
+ * @param {{ devicePublicKey?: string, nonce?: string, signature?: string }} body
+ * @returns {Promise<{ thumbprint: string|null, register: { pem, thumbprint }|null }>}
+ * @throws Error con status 400 / 401
+ */
+export async function checkDeviceKey(lic, deviceId, body) {
+  const device = await Device.findOne({ where: { licenseId: lic.id, deviceId: String(deviceId) } });
+  if (device?.keyThumbprint && !device.revokedAt) {
+    await consumeDeviceProof(lic, device, body);
+    return { thumbprint: device.keyThumbprint, register: null };
+  }
+  if (body?.devicePublicKey) {
+    const key = parseDevicePublicKey(body.devicePublicKey);
+    return { thumbprint: key.thumbprint, register: key };
+  }
+  if (KEY_REQUIRED) throw deviceKeyError(400, "devicePublicKey requerido");
+  return { thumbprint: null, register: null };
+}
+
+/**
+ * true si el equipo ya tiene registrada otra clave. Se consulta antes de ocupar el cupo,
+ * para que un validate con clave en conflicto (409) no deje el equipo vinculado.
+ */
+export async function deviceKeyConflicts(lic, deviceId, thumbprint) {
+  const device = await Device.findOne({ where: { licenseId: lic.id, deviceId: String(deviceId) } });
+  return Boolean(device?.keyThumbprint && device.keyThumbprint !== thumbprint);
+}
+
+/**
+ * Registra la clave del equipo si todavía no tiene una (la primera que llega gana).
+ * @returns {Promise<boolean>} false si otra petición registró una clave distinta antes
+ */
+export async function registerDeviceKey(lic, deviceId, { pem, thumbprint }) {
+  const device = await ensureDevice(lic, deviceId);
+  const [n] = await Device.update(
+    { publicKeyPem: pem, keyThumbprint: thumbprint, keyRegisteredAt: new Date() },
+    { where: { id: device.id, keyThumbprint: null } }
+  );
+  if (n) return true;
+  await device.reload();
+  return device.keyThumbprint === thumbprint;
+}
+
+/** Borra challenges vencidos o usados (lo llama el sweeper) */
+export async function purgeDeviceChallenges(now = new Date()) {
+  return DeviceChallenge.destroy({
+    where: { [Op.or]: [{ expiresAt: { [Op.lte]: now } }, { usedAt: { [Op.ne]: null } }] }
+  });
+}
@@ -0,0 +1,146 @@
+// backend/device-policy.js
+import { Op } from "sequelize";
+
+import { DeviceRelease } from "./models.js";
+
+/**
+ * Política de cambio de dispositivos (evita rotar una licencia entre muchos equipos).
+ * - Límite de cambios: como mucho maxDeviceSwaps desvinculaciones del usuario cada
+ *   deviceSwapWindowDays días (ventana móvil).
+ * - Cooldown: un cupo liberado por el usuario no se puede ocupar con OTRO equipo hasta
+ *   pasadas deviceSlotCooldownHours horas (volver a vincular el mismo equipo sí se puede).
+ * - Valores por plan; si el plan no los define se usan DEVICE_SWAP_MAX,
+ *   DEVICE_SWAP_WINDOW_DAYS y DEVICE_SLOT_COOLDOWN_HOURS. 0 = sin límite / sin cooldown.
+ * - Lo que hace un admin (o el sistema) no cuenta, y un admin puede perdonar los cambios.
+ */
+
+const DEFAULTS = {
+  maxSwaps: Number(process.env.DEVICE_SWAP_MAX ?? 3),
+  windowDays: Number(process.env.DEVICE_SWAP_WINDOW_DAYS || 30),
+  cooldownHours: Number(process.env.DEVICE_SLOT_COOLDOWN_HOURS ?? 24)
+};
+
+function policyError(message, nextSwapAt, now) {
+  const e = new Error(message);
+  e.status = 429;
+  e.nextSwapAt = nextSwapAt;
+  e.retryAfter = Math.max(1, Math.ceil((nextSwapAt - now) / 1000));
+  return e;
+}
+
+/** Política efectiva de un plan */
+export function swapPolicyFor(plan) {
+  return {
+    maxSwaps: plan?.maxDeviceSwaps ?? DEFAULTS.maxSwaps,
+    windowDays: plan?.deviceSwapWindowDays ?? DEFAULTS.windowDays,
+    cooldownHours: plan?.deviceSlotCooldownHours ?? DEFAULTS.cooldownHours
+  };
+}
+
+// Liberaciones que cuentan: del usuario, no perdonadas y sin re-vincular el mismo equipo
+const counted = (lic, since) => ({
+  licenseId: lic.id,
+  actor: "user",
+  waivedAt: null,
+  reusedAt: null,
+  createdAt: { [Op.gt]: since }
+});
+
+/**
+ * ¿Puede el usuario desvincular un dispositivo ahora?
+ * @throws Error status 429 con nextSwapAt / retryAfter si se pasó del límite
+ */
+export async function assertDetachAllowed(lic, plan, now = new Date()) {
+  const { maxSwaps, windowDays } = swapPolicyFor(plan);
+  if (!maxSwaps) return;
+  const since = new Date(now.getTime() - windowDays * 86400_000);
+  const recent = await DeviceRelease.findAll({
+    where: counted(lic, since),
+    attributes: ["createdAt"],
+    order: [["createdAt", "ASC"]]
+  });
+  if (recent.length < maxSwaps) return;
+
+  // Se habilita un cambio cuando el que sobra más viejo sale de la ventana
+  const idx = recent.length - maxSwaps;
+  const nextSwapAt = new Date(new Date(recent[idx].createdAt).getTime() + windowDays * 86400_000);
+  throw policyError(
+    `Alcanzaste el límite de ${maxSwaps} cambio(s) de dispositivo cada ${windowDays} días`,
+    nextSwapAt,
+    now
+  );
+}
+
+/**
+ * ¿Puede ocupar un cupo el equipo `deviceId`? Los cupos liberados hace menos de
+ * cooldownHours cuentan como ocupados para equipos nuevos.
+ * @returns {Promise<DeviceRelease | null>} la liberación del mismo equipo si es una re-vinculación
+ * @throws Error status 429 con nextSwapAt / retryAfter si el cupo libre está en cooldown
+ */
+export async function assertAttachAllowed(lic, plan, deviceId, now = new Date()) {
+  const own = await DeviceRelease.findOne({
+    where: { licenseId: lic.id, deviceId: String(deviceId), reusedAt: null, waivedAt: null },
+    order: [["createdAt", "DESC"]]
+  });
+  if (own) return own; // vuelve el mismo equipo: no es un cambio
+
+  const { cooldownHours } = swapPolicyFor(plan);
+  if (!cooldownHours) return null;
+  const max = plan?.maxDevices || 1;
+  const cooling = await DeviceRelease.findAll({
+    where: counted(lic, new Date(now.getTime() - cooldownHours * 3600_000)),
+    attributes: ["createdAt"],
+    order: [["createdAt", "ASC"]]
+  });
+  const used = (lic.devices || []).length;
+  if (used + cooling.length < max) return null;
+
+  // Primer cupo en cooldown que se libera
+  const idx = used + cooling.length - max;
+  const nextSwapAt = new Date(new Date(cooling[idx].createdAt).getTime() + cooldownHours * 3600_000);
+  throw policyError(
+    `El cupo liberado se puede usar con otro equipo recién a las ${cooldownHours} h de desvincular`,
+    nextSwapAt,
+    now
+  );
+}
+
+/**
+ * Registra cupos liberados.
+ * @param {{ actor: "user"|"admin"|"system", transaction?: Transaction }} ctx
+ */
+export async function recordDeviceRelease(lic, deviceIds, { actor, transaction } = {}) {
+  const rows = [...new Set(deviceIds)].map(deviceId => ({ licenseId: lic.id, deviceId: String(deviceId), actor }));
+  if (rows.length) await DeviceRelease.bulkCreate(rows, { transaction });
+}
+
+/** El equipo volvió a ocupar su propio cupo: esa liberación deja de contar */
+export async function markDeviceReused(release, { transaction } = {}) {
+  if (!release) return;
+  release.reusedAt = new Date();
+  await release.save({ transaction });
+}
+
+/**
+ * Override de admin: perdona los cambios y cooldowns pendientes de la licencia.
+ * @returns {Promise<number>} liberaciones perdonadas
+ */
+export async function waiveDeviceReleases(lic) {
+  const [n] = await DeviceRelease.update(
+    { waivedAt: new Date() },
+    { where: { licenseId: lic.id, waivedAt: null, reusedAt: null } }
+  );
+  return n;
+}
+
+/** Estado de la política para mostrar en el panel */
+export async function swapStatus(lic, plan, now = new Date()) {
+  const policy = swapPolicyFor(plan);
+  const since = new Date(now.getTime() - policy.windowDays * 86400_000);
+  const used = policy.maxSwaps ? await DeviceRelease.count({ where: counted(lic, since) }) : 0;
+  return {
+    ...policy,
+    swapsUsed: used,
+    swapsLeft: policy.maxSwaps ? Math.max(0, policy.maxSwaps - used) : null
+  };
+}
@@ -0,0 +1,91 @@
+// backend/devices.js
+import { Device, License } from "./models.js";
+
+/**
+ * Datos de los dispositivos de cada licencia (nombre, plataforma, versión, última conexión).
+ * - Los cupos siguen en License.devices; Device guarda el detalle por licencia + deviceId.
+ * - /public/license/validate y /refresh actualizan lastSeenAt / lastIp / appVersion.
+ * - Al sacar un deviceId de License.devices, saveLicense marca el Device como revocado.
+ */
+
+// Atributos visibles en GET /license/devices
+export const DEVICE_ATTRS = ["id", "deviceId", "name", "platform", "appVersion", "firstSeenAt", "lastSeenAt", "lastIp", "keyThumbprint", "keyRegisteredAt", "createdAt"];
+
+/** Device -> objeto para la API (solo DEVICE_ATTRS) */
+export function deviceJSON(device) {
+  return Object.fromEntries(DEVICE_ATTRS.map(a => [a, device.get(a) ?? null]));
+}
+
+function clip(value, max) {
+  if (value === undefined || value === null) return undefined;
+  const s = String(value).trim().slice(0, max);
+  return s || undefined;
+}
+
+/** Datos del equipo que manda la app: { deviceName?, platform?, appVersion? } */
+export function deviceInfoFromBody(body) {
+  return {
+    name: clip(body?.deviceName, 120),
+    platform: clip(body?.platform, 60),
+    appVersion: clip(body?.appVersion, 40)
+  };
+}
+
+/**
+ * Registro del dispositivo (lo crea si no existe). El nombre que manda la app
+ * solo se usa si el usuario todavía no le puso uno.
+ */
+export async function ensureDevice(lic, deviceId, { name } = {}) {
+  const [device] = await Device.findOrCreate({
+    where: { licenseId: lic.id, deviceId: String(deviceId) },
+    defaults: { name: name || null }
+  });
+  return device;
+}
+
+/**
+ * Check-in del dispositivo en validate / refresh.
+ * @param {{ ip?: string, name?: string, platform?: string, appVersion?: string }} info
+ */
+export async function recordDeviceSeen(lic, deviceId, { ip, name, platform, appVersion } = {}) {
+  const device = await ensureDevice(lic, deviceId, { name });
+  const now = new Date();
+  if (!device.firstSeenAt) device.firstSeenAt = now;
+  device.lastSeenAt = now;
+  device.lastIp = ip || device.lastIp;
+  if (platform) device.platform = platform;
+  if (appVersion) device.appVersion = appVersion;
+  if (!device.name && name) device.name = name;
+  device.revokedAt = null; // si llegó hasta acá, ocupa un cupo
+  await device.save();
+  return device;
+}
+
+/**
+ * Dispositivos que hoy ocupan cupo en la licencia, en el orden de License.devices.
+ * Crea el registro de los que se vincularon antes de existir Device.
+ */
+export async function listLicenseDevices(lic) {
+  const ids = lic.devices || [];
+  if (!ids.length) return [];
+  const rows = await Device.findAll({ where: { licenseId: lic.id, deviceId: ids }, attributes: DEVICE_ATTRS });
+  const byId = new Map(rows.map(d => [d.deviceId, d]));
+  for (const id of ids) {
+    if (!byId.has(id)) byId.set(id, await ensureDevice(lic, id));
+  }
+  return ids.map(id => deviceJSON(byId.get(id)));
+}
+
+/**
+ * Device (por id numérico) que ocupa cupo en alguna de las licencias del filtro
+ * (con la License en device.license), o null.
+ * @param {Object} licenseWhere - filtro sobre License (ej. licenseScopeFor de organizations.js)
+ */
+export async function findDeviceInLicenses(id, licenseWhere) {
+  const device = await Device.findOne({
+    where: { id: Number(id) || 0 },
+    include: [{ model: License, as: "license", where: licenseWhere }]
+  });
+  if (!device || !(device.license.devices || []).includes(device.deviceId)) return null;
+  return device;
+}
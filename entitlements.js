@@ -0,0 +1,86 @@
+// backend/entitlements.js
+
+/**
+ * Registro de entitlements (features y cupos) que se firman en el JWS.
+ * - boolean: la app habilita o no la función (van en "fea").
+ * - number: límite entero >= 0; null = sin límite (van en "lim").
+ * - Valor efectivo: default del registro <- Plan.features <- License.features (overrides).
+ * - Las claves que no están en el registro se ignoran al resolver y se rechazan al editar.
+ */
+
+export const ENTITLEMENTS = {
+  sync:                    { type: "boolean", default: true,  description: "Sincronización en la nube" },
+  whatsapp_bot:            { type: "boolean", default: false, description: "Bot de WhatsApp" },
+  ai_cameras:              { type: "boolean", default: false, description: "Cámaras con IA" },
+  max_cameras:             { type: "number",  default: 0,     description: "Cámaras conectadas" },
+  whatsapp_messages_month: { type: "number",  default: 0,     description: "Mensajes de WhatsApp por mes" },
+  max_branches:            { type: "number",  default: 1,     description: "Sucursales" }
+};
+
+function entitlementError(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function isValidValue(def, value) {
+  if (def.type === "boolean") return typeof value === "boolean";
+  return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+/** Registro para el panel: [{ key, type, default, description }] */
+export function listEntitlements() {
+  return Object.entries(ENTITLEMENTS).map(([key, def]) => ({ key, ...def }));
+}
+
+/**
+ * Valida un objeto de entitlements (features de un plan u overrides de una licencia).
+ * @returns {Object} copia con solo claves del registro
+ * @throws Error status 400 con la primera clave inválida
+ */
+export function validateEntitlements(values) {
+  if (typeof values !== "object" || values === null || Array.isArray(values)) {
+    throw entitlementError("features debe ser un objeto");
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    const def = ENTITLEMENTS[key];
+    if (!def) throw entitlementError(`Entitlement desconocido: ${key}`);
+    if (!isValidValue(def, value)) {
+      throw entitlementError(def.type === "boolean"
+        ? `${key} debe ser true o false`
+        : `${key} debe ser un entero >= 0 o null (sin límite)`);
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/** Solo las claves válidas (datos ya guardados, TRIAL_FEATURES) */
+function knownValues(values) {
+  const out = {};
+  for (const [key, value] of Object.entries(values || {})) {
+    if (ENTITLEMENTS[key] && isValidValue(ENTITLEMENTS[key], value)) out[key] = value;
+  }
+  return out;
+}
+
+/** Entitlements efectivos de una licencia (todas las claves del registro) */
+export function resolveEntitlements(plan, lic) {
+  const defaults = Object.fromEntries(Object.entries(ENTITLEMENTS).map(([key, def]) => [key, def.default]));
+  return { ...defaults, ...knownValues(plan?.features), ...knownValues(lic?.features) };
+}
+
+/**
+ * Separa los entitlements para el JWS.
+ * @returns {{ features: Object<string, boolean>, limits: Object<string, number|null> }}
+ */
+export function splitEntitlements(entitlements) {
+  const features = {};
+  const limits = {};
+  for (const [key, value] of Object.entries(entitlements)) {
+    if (ENTITLEMENTS[key]?.type === "boolean") features[key] = value;
+    else limits[key] = value;
+  }
+  return { features, limits };
+}
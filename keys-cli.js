@@ -0,0 +1,43 @@
+// backend/keys-cli.js
+import { sequelize } from "./models.js";
+import { listSigningKeys, generateSigningKey, promoteSigningKey, retireSigningKey } from "./signing-keys.js";
+
+/**
+ * Rotación de claves de firma desde la consola (mismo efecto que /admin/signing-keys).
+ *
+ *   npm run keys -- list
+ *   npm run keys -- generate            -> clave nueva en "pending" (ya sale en el JWKS)
+ *   npm run keys -- promote <kid>       -> pasa a "active"; la anterior queda "retiring"
+ *   npm run keys -- retire <kid>        -> deja de publicarse
+ *
+ * Conviene esperar a que los clientes bajen el JWKS (cache de 5 min) entre generate y promote.
+ */
+
+const [cmd, kid] = process.argv.slice(2);
+
+function print(key) {
+  console.log(`${key.kid}  ${key.status.padEnd(8)}  creada ${key.createdAt.toISOString()}`);
+}
+
+try {
+  await sequelize.authenticate();
+  await sequelize.sync(); // por si la tabla SigningKeys todavía no existe
+
+  if (cmd === "list") {
+    for (const k of await listSigningKeys()) print(k);
+  } else if (cmd === "generate") {
+    print(await generateSigningKey());
+  } else if (cmd === "promote" && kid) {
+    print(await promoteSigningKey(kid));
+  } else if (cmd === "retire" && kid) {
+    print(await retireSigningKey(kid));
+  } else {
+    console.log("Uso: node keys-cli.js list | generate | promote <kid> | retire <kid>");
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error("Error:", err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await sequelize.close();
+}
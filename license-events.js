@@ -0,0 +1,110 @@
+// backend/license-events.js
+import { Op } from "sequelize";
+
+import { sequelize, License, LicenseEvent, Device } from "./models.js";
+import { recordLicenseRevocations } from "./revocations.js";
+
+// Campos de License que se auditan
+const TRACKED_FIELDS = ["status", "plan", "expiresAt", "devices", "mpPreapprovalId", "features", "trial", "organizationId"];
+
+function pick(lic, fields, getter) {
+  const out = {};
+  for (const f of fields) out[f] = getter(f) ?? null;
+  return out;
+}
+
+/**
+ * Mantiene Device.revokedAt al día con los cupos de License.devices:
+ * los que salieron quedan revocados (y olvidan su clave pública) y los que volvieron se reactivan.
+ */
+async function syncDeviceRecords(lic, previous, transaction) {
+  const prev = new Set(previous || []);
+  const next = new Set(lic.devices || []);
+  const removed = [...prev].filter(d => !next.has(d));
+  const added = [...next].filter(d => !prev.has(d));
+  if (removed.length) {
+    await Device.update(
+      { revokedAt: new Date(), publicKeyPem: null, keyThumbprint: null, keyRegisteredAt: null },
+      { where: { licenseId: lic.id, deviceId: { [Op.in]: removed }, revokedAt: null }, transaction }
+    );
+  }
+  if (added.length) {
+    await Device.update(
+      { revokedAt: null },
+      { where: { licenseId: lic.id, deviceId: { [Op.in]: added } }, transaction }
+    );
+  }
+}
+
+/**
+ * Guarda una licencia y registra un LicenseEvent con los campos auditados que cambiaron.
+ * - Si la licencia es nueva, `before` queda en null y `after` tiene el estado inicial.
+ * - Si no cambió ningún campo auditado no se registra nada (salvo `force: true`).
+ * - Licencia y evento se escriben en la misma transacción.
+ * - Si cambian los dispositivos, los registros de Device se marcan revocados / reactivados.
+ * - Bajas de estado, token nuevo o dispositivos desvinculados entran en la lista de revocación.
+ *
+ * @param {License} lic - instancia (nueva con License.build o existente)
+ * @param {Object} ctx
+ *  - actor: "user" | "webhook" | "system" | "admin"
+ *  - actorId?: number (userId de quien hizo el cambio)
+ *  - action: string (ej. "subscribe", "webhook.preapproval")
+ *  - mpPayloadId?: string (id de la notificación / preaprobación de MP)
+ *  - force?: boolean (registrar aunque no cambien campos auditados)
+ *  - transaction?: Transaction (para sumarse a una transacción externa)
+ */
+export async function saveLicense(lic, ctx) {
+  const { actor, actorId = null, action, mpPayloadId = null, force = false, transaction: outer = null } = ctx || {};
+  if (!actor || !action) throw new Error("saveLicense: actor y action requeridos");
+
+  let before = null;
+  let after;
+  // El token no se audita (es secreto) pero cambiarlo revoca los JWS emitidos
+  const previousToken = !lic.isNewRecord && lic.changed("token") ? lic.previous("token") : null;
+  if (lic.isNewRecord) {
+    after = pick(lic, TRACKED_FIELDS, f => lic.get(f));
+  } else {
+    const changed = TRACKED_FIELDS.filter(f => lic.changed(f));
+    before = pick(lic, changed, f => lic.previous(f));
+    after = pick(lic, changed, f => lic.get(f));
+    if (!changed.length && !force) {
+      await lic.save({ transaction: outer });
+      return lic;
+    }
+  }
+
+  const run = async (transaction) => {
+    await lic.save({ transaction });
+    if (before && "devices" in before) await syncDeviceRecords(lic, before.devices, transaction);
+    if (before) await recordLicenseRevocations(lic, { ...before, token: previousToken }, transaction);
+    await LicenseEvent.create({
+      licenseId: lic.id,
+      actor,
+      actorId,
+      action,
+      before,
+      after,
+      mpPayloadId: mpPayloadId ? String(mpPayloadId) : null
+    }, { transaction });
+    return lic;
+  };
+  return outer ? run(outer) : sequelize.transaction(run);
+}
+
+/** Crea una licencia registrando el evento de alta */
+export function createLicense(data, ctx) {
+  return saveLicense(License.build(data), ctx);
+}
+
+/**
+ * Historial de eventos (más recientes primero).
+ * @param {Object} where - filtro sobre License (ej. { id } o { userId })
+ */
+export function listLicenseEvents(where, { limit = 50, offset = 0 } = {}) {
+  return LicenseEvent.findAndCountAll({
+    include: [{ model: License, as: "license", where, attributes: ["id", "userId"] }],
+    order: [["createdAt", "DESC"], ["id", "DESC"]],
+    limit,
+    offset
+  });
+}
@@ -1,54 +1,78 @@
 // backend/license-sign.js
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
 
-const PRIV_B64 = process.env.LICENSE_PRIVATE_KEY_B64; // RSA PRIVATE KEY en base64
-const PUB_B64  = process.env.LICENSE_PUBLIC_KEY_B64;  // RSA PUBLIC KEY en base64
-const DEFAULT_TTL_SEC = Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600); // 72h
+import { getActiveSigningKey, getPublicKeyByKid } from "./signing-keys.js";
 
-if (!PRIV_B64 || !PUB_B64) {
-  console.warn("[license-sign] Falta LICENSE_PRIVATE_KEY_B64 o LICENSE_PUBLIC_KEY_B64 en .env");
-}
+const DEFAULT_TTL_SEC = Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600); // 72h
 
-function b64ToPem(b64) {
-  try { return Buffer.from(b64, "base64").toString("utf8"); }
-  catch { return ""; }
+// Las claves viven en signing-keys.js (rotación con kid); acá solo se firma / verifica.
+function activeKey() {
+  const key = getActiveSigningKey();
+  if (!key?.privatePem) throw new Error("No hay clave activa para firmar licencias");
+  return key;
 }
 
-const PRIVATE_PEM = b64ToPem(PRIV_B64 || "");
-const PUBLIC_PEM  = b64ToPem(PUB_B64  || "");
-
+/** PEM público de la clave activa (endpoint legacy; los clientes nuevos usan el JWKS) */
 export function getPublicKeyPem() {
-  return PUBLIC_PEM;
+  return getActiveSigningKey()?.publicPem || "";
 }
 
 /**
  * Firma un comprobante de licencia (JWS) para validación offline.
  * @param {Object} p - payload
- *  p = { userId, licenseId, token, plan, status, deviceId, maxDevices, features }
+ *  p = { userId, licenseId, token, plan, status, trial, expiresAt, deviceId, deviceKeyThumbprint, maxDevices, features, limits, offline }
+ *  Cada JWS lleva un jti propio para poder revocarlo (ver revocations.js)
+ *  deviceKeyThumbprint: clave registrada del equipo ("dkt", null si no tiene; ver device-keys.js)
+ *  trial/expiresAt: la app muestra la cuenta regresiva de la prueba (trl / lex)
+ *  features / limits: entitlements ya resueltos y separados en booleanos ("fea") y
+ *  límites numéricos ("lim", null = sin límite); ver entitlements.js
+ *  offline: emitido por activación offline ("off"; la app no intenta refrescarlo, ver offline-activation.js)
  * @param {number} ttlSec - segundos de validez offline (default 72h)
  */
 export function signLicenseJWS(p, ttlSec = DEFAULT_TTL_SEC) {
-  if (!PRIVATE_PEM) throw new Error("No hay PRIVATE PEM para firmar licencia");
+  const key = activeKey();
   const now = Math.floor(Date.now() / 1000);
   const payload = {
     sub: `license:${p.licenseId}`,
     uid: p.userId,
     plan: p.plan,
     sta: p.status,
+    trl: Boolean(p.trial),
+    lex: p.expiresAt ? Math.floor(new Date(p.expiresAt).getTime() / 1000) : null,
     dev: p.deviceId,
+    dkt: p.deviceKeyThumbprint || null,
     max: p.maxDevices,
-    fea: p.features || { sync: true, whatsapp_bot: false, ai_cameras: false },
+    fea: p.features || {},
+    lim: p.limits || {},
+    off: Boolean(p.offline),
     tok: p.token,
     lic: p.licenseId,
     ver: 1,
+    jti: crypto.randomUUID(),
     iat: now,
     exp: now + ttlSec,
   };
-  return jwt.sign(payload, PRIVATE_PEM, { algorithm: "RS256" });
+  return jwt.sign(payload, key.privatePem, { algorithm: "RS256", keyid: key.kid });
+}
+
+/**
+ * Firma la lista de revocación con la misma clave que las licencias.
+ * @param {Object} list - { seq, licenses, devices, tokens }
+ */
+export function signRevocationListJWS(list) {
+  const key = activeKey();
+  return jwt.sign(
+    { typ: "vs-license-revocations", ...list, iat: Math.floor(Date.now() / 1000) },
+    key.privatePem,
+    { algorithm: "RS256", keyid: key.kid }
+  );
 }
 
-/** (Opcional) Verificación del lado servidor (para pruebas) */
+/** (Opcional) Verificación del lado servidor (para pruebas): busca la clave por el kid del header */
 export function verifyLicenseJWS(jws) {
-  if (!PUBLIC_PEM) throw new Error("No hay PUBLIC PEM para verificar");
-  return jwt.verify(jws, PUBLIC_PEM, { algorithms: ["RS256"] });
+  const kid = jwt.decode(jws, { complete: true })?.header?.kid;
+  const pem = kid ? getPublicKeyByKid(kid) : getPublicKeyPem();
+  if (!pem) throw new Error("No hay clave pública para verificar");
+  return jwt.verify(jws, pem, { algorithms: ["RS256"] });
 }
@@ -0,0 +1,61 @@
+// backend/licenses.js
+import { License } from "./models.js";
+import { parseExternalReference } from "./mercadopago.js";
+
+/**
+ * Helpers de dominio de licencias compartidos entre server.js y los routers.
+ */
+
+/** Genera el token de licencia que usa la app de escritorio */
+export function generateLicenseToken() {
+  return `VS-${Math.random().toString(36).slice(2, 8)}-${Date.now().toString(36)}`;
+}
+
+// Días de uso mientras se acredita el primer cobro de una suscripción recién autorizada
+const PENDING_PAYMENT_DAYS = Number(process.env.PENDING_PAYMENT_DAYS || 1);
+
+/**
+ * Suscripción autorizada pero sin pago aprobado todavía: garantiza un vencimiento
+ * mínimo de PENDING_PAYMENT_DAYS. Nunca acorta uno existente (expiresAt solo se
+ * extiende de verdad con un pago aprobado, ver billing.js).
+ */
+export function ensurePendingWindow(lic) {
+  const min = new Date(); min.setDate(min.getDate() + PENDING_PAYMENT_DAYS);
+  if (!lic.expiresAt || new Date(lic.expiresAt) < min) lic.expiresAt = min;
+  return lic;
+}
+
+// Días que una licencia vencida sigue validando antes de bloquearse
+const LICENSE_GRACE_DAYS = Number(process.env.LICENSE_GRACE_DAYS || 3);
+
+/** Fin del período de gracia (expiresAt + LICENSE_GRACE_DAYS) */
+export function graceEndsAt(lic) {
+  if (!lic.expiresAt) return null;
+  const d = new Date(lic.expiresAt); d.setDate(d.getDate() + LICENSE_GRACE_DAYS);
+  return d;
+}
+
+/** true si la licencia venció y ya pasó la gracia */
+export function isPastGrace(lic, now = new Date()) {
+  const g = graceEndsAt(lic);
+  return Boolean(g && g.getTime() < now.getTime());
+}
+
+/**
+ * Licencia que paga una preaprobación (un usuario puede tener varias).
+ * - Primero por License.mpPreapprovalId.
+ * - Después por el licenseId del external_reference (preaprobación nueva de change-method).
+ * - Referencias viejas sin licenseId: solo si el usuario tiene una única licencia.
+ * @returns {Promise<License | null>}
+ */
+export async function findLicenseForPreapproval(preapprovalId, externalReference) {
+  if (preapprovalId) {
+    const lic = await License.findOne({ where: { mpPreapprovalId: String(preapprovalId) } });
+    if (lic) return lic;
+  }
+  const { userId, licenseId } = parseExternalReference(externalReference);
+  if (!userId) return null;
+  if (licenseId) return License.findOne({ where: { id: licenseId, userId } });
+  const rows = await License.findAll({ where: { userId }, limit: 2 });
+  return rows.length === 1 ? rows[0] : null;
+}
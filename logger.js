@@ -0,0 +1,174 @@
+// backend/logger.js
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Logger estructurado (una línea JSON por evento) con id de correlación por request.
+ * - Niveles: debug < info < warn < error (LOG_LEVEL, default info; "silent" apaga todo).
+ * - LOG_FORMAT=pretty: una línea legible para desarrollo en lugar de JSON.
+ * - requestLogger() asigna el id (X-Request-Id entrante o uno nuevo), lo devuelve en la respuesta
+ *   y lo agrega a todos los logs de esa request; getRequestId() lo expone (p.ej. para las llamadas a MP).
+ * - Todo pasa por redact(): emails enmascarados, Bearer / JWT / tokens de licencia / claves prepagas /
+ *   tokens de MP tapados, secretos en texto libre (`token=...` en links) y campos sensibles
+ *   (authorization, password, token, secret...) reemplazados.
+ *
+ * Uso:
+ *   logger.info("preapproval created", { id });
+ *   logger.error("admin users list error", err);
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+const PRETTY = String(process.env.LOG_FORMAT || "json").toLowerCase() === "pretty";
+const MAX_DEPTH = 6;
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,100}$/;
+
+const REDACTED = "[REDACTED]";
+const SENSITIVE_KEY = /authorization|cookie|password|secret|token|jws|signature|private|recovery|^code$|^otp$|^nonce$/i;
+
+const als = new AsyncLocalStorage();
+
+/* ----- Redacción ----- */
+
+const STRING_RULES = [
+  [/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, "[JWT]"],
+  [/\b(APP_USR|TEST)-\d{6,}[\w-]*/g, "[MP_TOKEN]"],
+  [/\bVSK(-[A-Z0-9]{4}){4}\b/g, "VSK-[REDACTED]"],                // claves prepagas
+  [/\bVS-[a-z0-9]{4,}-[a-z0-9]+\b/gi, "VS-[REDACTED]"],            // tokens de licencia
+  // secretos como parámetro dentro de texto libre (links de reset / verificación / invitación en mails)
+  [/(\b(?:[\w-]*(?:token|secret|password|signature|jws)[\w-]*|code|otp|nonce)=)[^&\s#"'<>]+/gi, `$1${REDACTED}`],
+  [/([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+)/g, "$1***@$2"] // emails
+];
+
+function redactString(s) {
+  let out = s;
+  for (const [re, repl] of STRING_RULES) out = out.replace(re, repl);
+  return out;
+}
+
+function serializeError(err, depth) {
+  const out = { name: err.name, message: redactString(String(err.message || "")) };
+  if (err.status !== undefined) out.status = err.status;
+  if (err.code !== undefined) out.code = err.code;
+  if (err.stack) out.stack = redactString(err.stack);
+  if (err.cause !== undefined) out.cause = redactValue(err.cause, depth + 1);
+  return out;
+}
+
+function redactValue(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return typeof value === "bigint" ? String(value) : value;
+  if (depth >= MAX_DEPTH) return "[…]";
+  if (value instanceof Error) return serializeError(value, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length}]`;
+  if (Array.isArray(value)) return value.map(v => redactValue(v, depth + 1));
+  if (typeof value.toJSON === "function") return redactValue(value.toJSON(), depth); // instancias de Sequelize
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const hide = SENSITIVE_KEY.test(key) && (typeof v === "string" || (typeof v === "object" && v !== null));
+    out[key] = hide ? REDACTED : redactValue(v, depth + 1); // números y booleanos (code: 400, tokenSent: true) quedan
+  }
+  return out;
+}
+
+/** Copia redactada de un valor cualquiera (también sirve fuera del logger) */
+export function redact(value) {
+  return redactValue(value);
+}
+
+/** URL sin valores sensibles en el query string (?token=, ?code=...) */
+export function redactUrl(url) {
+  const [path, query] = String(url || "").split("?");
+  if (!query) return redactString(path);
+  const params = new URLSearchParams(query);
+  for (const [key, value] of [...params.entries()]) {
+    params.set(key, SENSITIVE_KEY.test(key) ? REDACTED : redactString(value));
+  }
+  return `${redactString(path)}?${params.toString()}`;
+}
+
+/* ----- Salida ----- */
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const requestId = als.getStore()?.requestId;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...(requestId ? { requestId } : {}),
+    ...redactValue({ ...bindings, ...extra })
+  };
+
+  let line;
+  if (PRETTY) {
+    const { time, level: lvl, msg: text, ...rest } = entry;
+    line = `${time.slice(11, 23)} ${lvl.toUpperCase().padEnd(5)} ${text}${Object.keys(rest).length ? " " + JSON.stringify(rest) : ""}`;
+  } else {
+    try { line = JSON.stringify(entry); }
+    catch { line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: "campos no serializables" }); }
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+}
+
+/**
+ * Logger con campos fijos (bindings) que se agregan a cada línea.
+ * @param {Object} bindings - p.ej. { module: "webhook" }
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+export const logger = createLogger();
+
+/* ----- Correlación ----- */
+
+/** Id de correlación de la request en curso (null fuera de una request) */
+export function getRequestId() {
+  return als.getStore()?.requestId || null;
+}
+
+/** Corre fn con un id de correlación propio (jobs en segundo plano) */
+export function withRequestId(requestId, fn) {
+  return als.run({ requestId }, fn);
+}
+
+/**
+ * Middleware: id de correlación + una línea por request al terminar
+ * (method, path sin secretos, status, ms, ip, userId). Reemplaza a morgan.
+ */
+export function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+      als.run({ requestId }, () => write(level, {}, "request", {
+        method: req.method,
+        path: redactUrl(req.originalUrl),
+        status: res.statusCode,
+        ms: Math.round(ms * 10) / 10,
+        ip: req.ip,
+        userId: req.user?.id ?? null
+      }));
+    });
+
+    als.run({ requestId }, next);
+  };
+}
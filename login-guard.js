@@ -0,0 +1,151 @@
+// backend/login-guard.js
+import { Op } from "sequelize";
+
+import { sequelize, LoginThrottle, SecurityEvent } from "./models.js";
+import { logger } from "./logger.js";
+
+/**
+ * Protección contra fuerza bruta en /login.
+ * - Fallos contados por cuenta (email) y por IP; el contador se reinicia tras
+ *   LOGIN_FAILURE_WINDOW_MIN minutos sin fallos.
+ * - Demora progresiva: desde LOGIN_DELAY_AFTER fallos hay que esperar
+ *   LOGIN_DELAY_BASE_MS * 2^n (tope LOGIN_DELAY_MAX_MS) antes del próximo intento.
+ * - Bloqueo temporal (LOGIN_LOCKOUT_MIN) al llegar a LOGIN_LOCKOUT_THRESHOLD fallos
+ *   por cuenta o LOGIN_IP_LOCKOUT_THRESHOLD por IP; cada bloqueo queda en SecurityEvent.
+ * - Mientras dura el bloqueo se rechaza incluso la contraseña correcta.
+ */
+
+const FAILURE_WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MIN || 15) * 60_000;
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER || 3);
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_MS || 1000);
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_MS || 30_000);
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MIN || 15) * 60_000;
+const THRESHOLDS = {
+  account: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10),
+  ip: Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || 50)
+};
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function keysFor({ email, ip }) {
+  const keys = [];
+  if (email) keys.push({ scope: "account", key: `account:${normalizeEmail(email)}` });
+  if (ip) keys.push({ scope: "ip", key: `ip:${ip}` });
+  return keys;
+}
+
+/** Espera exigida después de `failures` fallos seguidos (ms) */
+export function delayAfterFailures(failures) {
+  if (failures < DELAY_AFTER) return 0;
+  return Math.min(DELAY_MAX_MS, DELAY_BASE_MS * 2 ** (failures - DELAY_AFTER));
+}
+
+/**
+ * ¿Se puede intentar el login ahora?
+ * @returns {Promise<null | { error: string, retryAfter: number, lockedUntil?: Date }>}
+ *   null = permitido; si no, retryAfter en segundos
+ */
+export async function checkLoginAllowed({ email, ip }, now = new Date()) {
+  const keys = keysFor({ email, ip });
+  if (!keys.length) return null;
+  const rows = await LoginThrottle.findAll({ where: { key: keys.map(k => k.key) } });
+
+  let lockedUntil = null;
+  let waitUntil = 0;
+  for (const row of rows) {
+    if (row.lockedUntil && new Date(row.lockedUntil) > now) {
+      if (!lockedUntil || new Date(row.lockedUntil) > lockedUntil) lockedUntil = new Date(row.lockedUntil);
+    }
+    waitUntil = Math.max(waitUntil, new Date(row.lastFailureAt).getTime() + delayAfterFailures(row.failures));
+  }
+
+  if (lockedUntil) {
+    return {
+      error: "Demasiados intentos fallidos. Cuenta bloqueada temporalmente.",
+      retryAfter: Math.ceil((lockedUntil - now) / 1000),
+      lockedUntil
+    };
+  }
+  if (waitUntil > now.getTime()) {
+    const retryAfter = Math.ceil((waitUntil - now.getTime()) / 1000);
+    return { error: `Demasiados intentos fallidos. Esperá ${retryAfter} segundos.`, retryAfter };
+  }
+  return null;
+}
+
+/**
+ * Registra un login fallido (cuenta + IP) y bloquea si se pasó el umbral.
+ * @param {{ email?: string, ip?: string, userId?: number }} p
+ */
+export async function recordLoginFailure({ email, ip, userId = null }, now = new Date()) {
+  const table = LoginThrottle.getTableName();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+
+  for (const { scope, key } of keysFor({ email, ip })) {
+    // UPSERT atómico: si el último fallo es viejo, el contador arranca de nuevo
+    const [rows] = await sequelize.query(
+      `INSERT INTO "${table}" AS t ("key", "failures", "lastFailureAt", "createdAt", "updatedAt")
+       VALUES (:key, 1, :now, :now, :now)
+       ON CONFLICT ("key") DO UPDATE SET
+         "failures" = CASE WHEN t."lastFailureAt" < :windowStart THEN 1 ELSE t."failures" + 1 END,
+         "lastFailureAt" = :now,
+         "updatedAt" = :now
+       RETURNING "failures"`,
+      { replacements: { key, now, windowStart } }
+    );
+    const failures = Number(rows[0].failures);
+    if (failures < THRESHOLDS[scope]) continue;
+
+    // UPDATE condicional: con fallos simultáneos, un solo bloqueo (y un solo evento)
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    const [n] = await LoginThrottle.update(
+      { lockedUntil },
+      { where: { key, [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }] } }
+    );
+    if (!n) continue;
+
+    logger.warn("login-guard: bloqueo", { scope, lockedUntil, failures });
+    await SecurityEvent.create({
+      type: "login.lockout",
+      userId: scope === "account" ? userId : null,
+      email: email ? normalizeEmail(email) : null,
+      ip: ip || null,
+      detail: { scope, failures, lockedUntil }
+    });
+  }
+}
+
+/** Login correcto: limpia los fallos de la cuenta (los de la IP siguen contando) */
+export async function recordLoginSuccess({ email }) {
+  if (!email) return;
+  await LoginThrottle.destroy({ where: { key: `account:${normalizeEmail(email)}` } });
+}
+
+/**
+ * Desbloqueo manual (admin) o tras restablecer la contraseña.
+ * @returns {Promise<boolean>} true si había fallos o bloqueo registrados
+ */
+export async function clearLoginFailures({ email }, { actorId = null, userId = null, reason = "manual" } = {}) {
+  const n = await LoginThrottle.destroy({ where: { key: `account:${normalizeEmail(email)}` } });
+  if (n) {
+    await SecurityEvent.create({
+      type: "login.unlock",
+      userId,
+      email: normalizeEmail(email),
+      detail: { reason, actorId }
+    });
+  }
+  return n > 0;
+}
+
+/** Borra filas sin fallos recientes ni bloqueo vigente (lo llama el sweeper) */
+export function purgeLoginThrottles(now = new Date()) {
+  return LoginThrottle.destroy({
+    where: {
+      lastFailureAt: { [Op.lt]: new Date(now.getTime() - FAILURE_WINDOW_MS) },
+      [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lt]: now } }]
+    }
+  });
+}
@@ -0,0 +1,93 @@
+// backend/mailer.js
+import fs from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+
+import { logger } from "./logger.js";
+
+/**
+ * Envío de mails con transporte intercambiable (MAIL_TRANSPORT):
+ * - "smtp":    nodemailer con SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ * - "file":    guarda cada mail como JSON en MAIL_FILE_DIR (pruebas locales)
+ * - "console": lo imprime por consola (default)
+ * - Con NODE_ENV=production el servidor no arranca sin un transporte real (assertMailConfig).
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || "Venta Simple <no-reply@localhost>";
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: (process.env.SMTP_SECURE || "false").toLowerCase() === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return { name: "smtp", send: (msg) => transporter.sendMail(msg) };
+}
+
+function fileTransport() {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || "./mail-outbox");
+  return {
+    name: "file",
+    async send(msg) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...msg, date: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(msg) {
+      // solo desarrollo; el logger tapa los tokens de los links (para verlos completos: MAIL_TRANSPORT=file)
+      logger.info("mail (console)", { to: msg.to, subject: msg.subject, text: msg.text });
+      return {};
+    }
+  };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+let _transport = null;
+
+/**
+ * Chequeo de arranque: en producción los mails (reset, verificación, invitaciones) tienen que salir de verdad.
+ * @throws Error con NODE_ENV=production y MAIL_TRANSPORT sin definir, "console" o "smtp" sin SMTP_HOST
+ */
+export function assertMailConfig() {
+  if (process.env.NODE_ENV !== "production") return;
+  const name = (process.env.MAIL_TRANSPORT || "").toLowerCase();
+  if (!name || name === "console") {
+    throw new Error("MAIL_TRANSPORT debe ser smtp (o file) en producción: con console los mails no se envían");
+  }
+  if (name === "smtp" && !process.env.SMTP_HOST) throw new Error("Falta SMTP_HOST para MAIL_TRANSPORT=smtp");
+  if (name === "file") logger.warn("MAIL_TRANSPORT=file en producción: los mails quedan en MAIL_FILE_DIR y no se envían");
+}
+
+/** Transporte actual (se crea la primera vez según MAIL_TRANSPORT) */
+export function getMailTransport() {
+  if (!_transport) {
+    const name = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`MAIL_TRANSPORT desconocido: ${name}`);
+    _transport = factory();
+  }
+  return _transport;
+}
+
+/** Reemplaza el transporte (p. ej. uno propio en scripts o pruebas) */
+export function setMailTransport(transport) {
+  _transport = transport;
+}
+
+/**
+ * Envía un mail.
+ * @param {Object} p - { to, subject, text, html? }
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) throw new Error("to y subject requeridos");
+  return getMailTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
@@ -1,12 +1,20 @@
 // backend/mercadopago.js
+import crypto from "node:crypto";
 import mercadopago from "mercadopago";
 
+import { logger as baseLogger, getRequestId } from "./logger.js";
+
 /**
  * MP SDK v2.x
  * - Config por access token
  * - Suscripciones con preapproval (auto_recurring)
+ * - Las llamadas van por mpRequest (REST) con el X-Request-Id de la request en curso,
+ *   para cruzar nuestros logs con los de MP.
  */
 
+const logger = baseLogger.child({ module: "mp" });
+const WEBHOOK_TOLERANCE_SEC = Number(process.env.MP_WEBHOOK_TOLERANCE_SEC || 300);
+
 let _isConfigured = false;
 let _accessToken = null;
 
@@ -27,7 +35,22 @@ export function initializeMercadoPago(accessToken) {
   }
   mercadopago.configurations.setAccessToken(_accessToken);
   _isConfigured = true;
-  console.log("[MP] SDK configurado");
+  logger.info("SDK configurado");
+}
+
+/**
+ * external_reference de las preaprobaciones: "<userId>:<planCode>:<licenseId>".
+ * Las creadas con versiones anteriores no tienen el licenseId (o solo tienen el userId).
+ */
+export function buildExternalReference(userId, plan, licenseId = null) {
+  return licenseId ? `${userId}:${plan}:${licenseId}` : `${userId}:${plan}`;
+}
+
+/** @returns {{ userId: number | null, plan: string | null, licenseId: number | null }} */
+export function parseExternalReference(ref) {
+  const [uid, plan, lid] = String(ref ?? "").split(":");
+  const int = (v) => (/^\d+$/.test(v || "") ? Number(v) : null);
+  return { userId: int(uid), plan: plan || null, licenseId: int(lid) };
 }
 
 function ensureConfigured() {
@@ -40,26 +63,35 @@ function ensureConfigured() {
  * Crea una suscripción (preapproval) directa para un usuario.
  * @param {Object} p
  *  - userId (number | string)
- *  - plan: "single" | "multi"
+ *  - licenseId: number (licencia que paga esta preaprobación)
+ *  - plan: string (Plan.code, ej. "single")
+ *  - planName?: string (texto del "reason" en MP)
  *  - payerEmail: string (email del pagador)
  *  - backUrl: string (HTTPS público)
  *  - currency: string (ej. "ARS")
- *  - amount: number (precio mensual)
+ *  - amount: number (precio por período)
+ *  - frequency?: number, frequencyType?: "days" | "months" (default 1 / months)
  */
 export async function createSubscriptionDirect(p) {
   ensureConfigured();
 
   const {
     userId,
+    licenseId,
     plan,
+    planName,
     payerEmail,
     backUrl,
     currency = "ARS",
-    amount = 0
+    amount = 0,
+    frequency = 1,
+    frequencyType = "months"
   } = p || {};
 
   if (!userId) throw new Error("userId requerido");
-  if (!["single", "multi"].includes(plan)) throw new Error("plan inválido");
+  if (!licenseId) throw new Error("licenseId requerido");
+  if (!plan) throw new Error("plan inválido");
+  if (!["days", "months"].includes(frequencyType) || !(frequency >= 1)) throw new Error("frecuencia inválida");
   if (!payerEmail) throw new Error("payerEmail requerido");
   if (!amount || amount <= 0) throw new Error("amount inválido");
   if (!currency) throw new Error("currency requerido");
@@ -77,20 +109,20 @@ export async function createSubscriptionDirect(p) {
   const notificationUrl = webhookBase ? ensureHttps(webhookBase + "/webhook") : null;
 
   const payload = {
-    reason: `Licencia ${plan}`,
-    external_reference: String(userId), // para recuperar al usuario en /return y /webhook
+    reason: planName || `Licencia ${plan}`,
+    external_reference: buildExternalReference(userId, plan, licenseId), // para recuperar usuario, plan y licencia en /return y /webhook
     back_url: httpsBack,
     payer_email: payerEmail,
     auto_recurring: {
-      frequency: 1,
-      frequency_type: "months",
+      frequency: Number(frequency),
+      frequency_type: frequencyType,
       transaction_amount: Number(amount),
       currency_id: String(currency).toUpperCase()
     }
   };
   if (notificationUrl) payload.notification_url = notificationUrl;
 
-  console.log("[MP] create preapproval", {
+  logger.info("create preapproval", {
     reason: payload.reason,
     payer_email: payload.payer_email,
     amount: payload.auto_recurring.transaction_amount,
@@ -98,86 +130,162 @@ export async function createSubscriptionDirect(p) {
     back_url: payload.back_url
   });
 
-  try {
-    const resp = await mercadopago.preapproval.create(payload);
-    const body = resp?.response || resp; // SDK a veces expone en .response
-    const id = body?.id;
-    const init_point = body?.init_point;
-
-    if (!id || !init_point) {
-      console.error("[MP] Respuesta inesperada al crear preapproval:", body);
-      const e = new Error("No se pudo crear la preaprobación");
-      e.status = 502;
-      throw e;
-    }
-
-    console.log("[MP] preapproval created", { id, init_point });
-    return { init_point, mpPreapprovalId: id };
-  } catch (err) {
-    // El SDK suele incluir info útil en err.cause
-    console.error("[MP] Error create preapproval:", err?.status || "", err?.message || err);
-    if (err?.cause) console.error("[MP] cause:", JSON.stringify(err.cause, null, 2));
-    throw err;
+  const body = await mpRequest("POST", "/preapproval", "create preapproval", payload);
+  const id = body?.id;
+  const init_point = body?.init_point;
+  if (!id || !init_point) {
+    logger.error("respuesta inesperada al crear preapproval", { body });
+    const e = new Error("No se pudo crear la preaprobación");
+    e.status = 502;
+    throw e;
   }
+
+  logger.info("preapproval created", { id });
+  return { init_point, mpPreapprovalId: id };
 }
 
-/** Obtiene una preaprobación por ID */
-export async function getPreapprovalById(id) {
-  ensureConfigured();
-  if (!id) throw new Error("preapproval id requerido");
+/**
+ * Llamada a la API REST de MP con fetch nativo (el SDK v2 no siempre expone findById ni deja pasar headers).
+ * Lleva el X-Request-Id de la request en curso. Los errores salen con status y cause (el detalle de MP).
+ */
+async function mpRequest(method, path, label, body = undefined) {
+  const headers = { Authorization: `Bearer ${_accessToken}` };
+  const requestId = getRequestId();
+  if (requestId) headers["X-Request-Id"] = requestId;
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+
   try {
-    // El SDK v2 no siempre expone findById. Usamos fetch nativo de Node 18/20.
-    const resp = await fetch(`https://api.mercadopago.com/preapproval/${encodeURIComponent(id)}`, {
-      headers: { Authorization: `Bearer ${_accessToken}` }
+    const resp = await fetch(`https://api.mercadopago.com${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
     });
-    const json = await resp.json();
+    const json = await resp.json().catch(() => null);
     if (!resp.ok) {
-      const e = new Error(json?.message || "Error al obtener preapproval");
+      const e = new Error(json?.message || `Error en ${label}`);
       e.status = resp.status;
+      if (json?.cause) e.cause = json.cause;
       throw e;
     }
     return json;
   } catch (err) {
-    console.error("[MP] getPreapprovalById error:", err?.status || "", err?.message || err);
+    logger.error(`${label} error`, err);
     throw err;
   }
 }
 
-/** Cambiar estado a cancelled */
-export async function cancelPreapproval(id) {
+function mpGet(path, label) {
+  return mpRequest("GET", path, `get ${label}`);
+}
+
+/** Obtiene una preaprobación por ID */
+export async function getPreapprovalById(id) {
   ensureConfigured();
   if (!id) throw new Error("preapproval id requerido");
-  try {
-    const resp = await mercadopago.preapproval.update({ id, status: "cancelled" });
-    return resp?.response || resp;
-  } catch (err) {
-    console.error("[MP] cancel error:", err?.status || "", err?.message || err);
-    throw err;
-  }
+  return mpGet(`/preapproval/${encodeURIComponent(id)}`, "preapproval");
 }
 
-/** Cambiar estado a paused */
-export async function pausePreapproval(id) {
+/** Obtiene un cobro de suscripción (authorized_payment / factura) por ID */
+export async function getAuthorizedPaymentById(id) {
+  ensureConfigured();
+  if (!id) throw new Error("authorized_payment id requerido");
+  return mpGet(`/authorized_payments/${encodeURIComponent(id)}`, "authorized_payment");
+}
+
+/** Obtiene un pago por ID */
+export async function getPaymentById(id) {
+  ensureConfigured();
+  if (!id) throw new Error("payment id requerido");
+  return mpGet(`/v1/payments/${encodeURIComponent(id)}`, "payment");
+}
+
+/**
+ * Cambia el monto recurrente de una preaprobación existente (cambio de plan).
+ * MP no permite cambiar la frecuencia: para eso hay que crear una preaprobación nueva.
+ * @param {string} id
+ * @param {Object} p - { amount, currency, reason?, plan?, userId?, licenseId? }
+ */
+export async function updatePreapprovalAmount(id, p) {
   ensureConfigured();
   if (!id) throw new Error("preapproval id requerido");
-  try {
-    const resp = await mercadopago.preapproval.update({ id, status: "paused" });
-    return resp?.response || resp;
-  } catch (err) {
-    console.error("[MP] pause error:", err?.status || "", err?.message || err);
-    throw err;
-  }
+  const { amount, currency, reason, plan, userId, licenseId } = p || {};
+  if (!amount || amount <= 0) throw new Error("amount inválido");
+  if (!currency) throw new Error("currency requerido");
+
+  const payload = {
+    auto_recurring: {
+      transaction_amount: Number(amount),
+      currency_id: String(currency).toUpperCase()
+    }
+  };
+  if (reason) payload.reason = reason;
+  if (plan && userId) payload.external_reference = buildExternalReference(userId, plan, licenseId);
+
+  const resp = await mpRequest("PUT", `/preapproval/${encodeURIComponent(id)}`, "update amount", payload);
+  logger.info("preapproval amount updated", { id, amount: payload.auto_recurring.transaction_amount });
+  return resp;
 }
 
-/** Cambiar estado a authorized (reanudar) */
-export async function resumePreapproval(id) {
+// Cambio de estado de una preaprobación (cancelled | paused | authorized)
+async function setPreapprovalStatus(id, status, label) {
   ensureConfigured();
   if (!id) throw new Error("preapproval id requerido");
-  try {
-    const resp = await mercadopago.preapproval.update({ id, status: "authorized" });
-    return resp?.response || resp;
-  } catch (err) {
-    console.error("[MP] resume error:", err?.status || "", err?.message || err);
-    throw err;
+  return mpRequest("PUT", `/preapproval/${encodeURIComponent(id)}`, label, { status });
+}
+
+/** Cambiar estado a cancelled */
+export function cancelPreapproval(id) {
+  return setPreapprovalStatus(id, "cancelled", "cancel");
+}
+
+/** Cambiar estado a paused */
+export function pausePreapproval(id) {
+  return setPreapprovalStatus(id, "paused", "pause");
+}
+
+/** Cambiar estado a authorized (reanudar) */
+export function resumePreapproval(id) {
+  return setPreapprovalStatus(id, "authorized", "resume");
+}
+
+/**
+ * Verifica la firma de una notificación (headers x-signature / x-request-id).
+ * MP firma el manifest "id:<data.id>;request-id:<x-request-id>;ts:<ts>;" con HMAC-SHA256
+ * usando la clave secreta configurada en el panel de webhooks.
+ * Un `ts` a más de MP_WEBHOOK_TOLERANCE_SEC del reloj se rechaza (notificación reenviada).
+ * @param {Object} p
+ *  - secret: string (MP_WEBHOOK_SECRET)
+ *  - signature: string (header x-signature, ej. "ts=1704908010,v1=618c85...")
+ *  - requestId: string (header x-request-id)
+ *  - dataId: string (data.id de la notificación)
+ *  - now?: number (ms, default Date.now())
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyWebhookSignature({ secret, signature, requestId, dataId, now = Date.now() }) {
+  if (!secret) return { ok: false, reason: "secret no configurado" };
+  if (!signature) return { ok: false, reason: "falta x-signature" };
+
+  const parts = Object.fromEntries(
+    String(signature).split(",").map(kv => kv.split("=").map(x => x.trim()))
+  );
+  const { ts, v1 } = parts;
+  if (!ts || !v1) return { ok: false, reason: "x-signature mal formado" };
+
+  // MP pide data.id en minúsculas si es alfanumérico; las partes ausentes se omiten
+  let manifest = "";
+  if (dataId) manifest += `id:${/^[a-z0-9]+$/i.test(dataId) ? String(dataId).toLowerCase() : dataId};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${ts};`;
+
+  const expected = crypto.createHmac("sha256", secret).update(manifest).digest("hex");
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(String(v1), "utf8");
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, reason: "firma inválida" };
+
+  // MP manda ts en segundos o en milisegundos según la notificación
+  const tsMs = Number(ts) < 1e12 ? Number(ts) * 1000 : Number(ts);
+  if (!Number.isFinite(tsMs) || Math.abs(now - tsMs) > WEBHOOK_TOLERANCE_SEC * 1000) {
+    return { ok: false, reason: "ts fuera de la ventana de tolerancia" };
   }
+  return { ok: true };
 }
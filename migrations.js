@@ -0,0 +1,68 @@
+// backend/migrations.js
+import { sequelize } from "./models.js";
+
+/**
+ * Migraciones de esquema que sync() no hace sobre bases existentes.
+ * - sync() solo crea las tablas que faltan y DB_SYNC_ALTER no cambia tipos ENUM de Postgres
+ *   de forma confiable; estos pasos corren al arrancar, antes de sync().
+ * - Son idempotentes: cada paso mira el esquema actual y no hace nada si ya está aplicado
+ *   (o si la tabla todavía no existe: la crea sync()).
+ */
+
+async function columnInfo(table, column) {
+  const [rows] = await sequelize.query(
+    `SELECT data_type, udt_name FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = :table AND column_name = :column`,
+    { replacements: { table, column } }
+  );
+  return rows[0] || null;
+}
+
+// Agrega un valor a un ENUM existente (ADD VALUE no puede ir dentro de una transacción)
+async function addEnumValue(table, column, value) {
+  const col = await columnInfo(table, column);
+  if (col?.data_type !== "USER-DEFINED") return false;
+  const [rows] = await sequelize.query(
+    `SELECT 1 FROM pg_enum e JOIN pg_type t ON t.oid = e.enumtypid WHERE t.typname = :type AND e.enumlabel = :value`,
+    { replacements: { type: col.udt_name, value } }
+  );
+  if (rows.length) return false;
+  await sequelize.query(`ALTER TYPE "${col.udt_name}" ADD VALUE IF NOT EXISTS '${value}'`);
+  return true;
+}
+
+const STEPS = [
+  {
+    name: "License.plan: ENUM -> VARCHAR(40)",
+    async run() {
+      const col = await columnInfo("Licenses", "plan");
+      if (col?.data_type !== "USER-DEFINED") return false;
+      await sequelize.query(`ALTER TABLE "Licenses"
+        ALTER COLUMN "plan" DROP DEFAULT,
+        ALTER COLUMN "plan" TYPE VARCHAR(40) USING "plan"::text,
+        ALTER COLUMN "plan" SET DEFAULT 'single'`);
+      await sequelize.query(`DROP TYPE IF EXISTS "${col.udt_name}"`);
+      return true;
+    }
+  },
+  {
+    name: "License.status: agrega expired",
+    run: () => addEnumValue("Licenses", "status", "expired")
+  },
+  {
+    name: "User.role: agrega reseller",
+    run: () => addEnumValue("Users", "role", "reseller")
+  }
+];
+
+/**
+ * Aplica los pasos pendientes.
+ * @returns {Promise<string[]>} nombres de los pasos aplicados
+ */
+export async function runMigrations() {
+  const applied = [];
+  for (const step of STEPS) {
+    if (await step.run()) applied.push(step.name);
+  }
+  return applied;
+}
@@ -36,9 +36,32 @@ export const User = sequelize.define("User", {
     allowNull: false
   },
   role: {
-    type: DataTypes.ENUM("admin", "client"),
+    type: DataTypes.ENUM("admin", "client", "reseller"), // reseller: emite claves prepagas (reseller.js)
     defaultValue: "client",
     allowNull: false
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // los access tokens emitidos antes de esta fecha dejan de valer
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // 2FA (TOTP): secreto cifrado; sin totpEnabledAt la inscripción no está confirmada
+  totpSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  totpEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // último paso de 30s aceptado: un código no se puede usar dos veces
+  totpLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   timestamps: true,
@@ -52,20 +75,278 @@ export const User = sequelize.define("User", {
   }
 });
 
+// -------- Session (login del panel) --------
+// Cada login abre una sesión con un refresh token rotativo (solo se guarda su hash).
+export const Session = sequelize.define("Session", {
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // hash del refresh anterior: si alguien lo vuelve a usar, la sesión se revoca (robo)
+  previousRefreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // true si la sesión se abrió pasando el segundo factor (o lo confirmó)
+  mfa: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ["userId", "revokedAt"] }
+  ]
+});
+
+// -------- UserToken (reset de contraseña / verificación de email) --------
+// Solo guardamos el hash (sha256) del token que viaja por mail; son de un solo uso.
+export const UserToken = sequelize.define("UserToken", {
+  purpose: {
+    type: DataTypes.ENUM("password_reset", "email_verify"),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ["tokenHash"] },
+    { fields: ["userId", "purpose"] }
+  ]
+});
+
+// -------- RecoveryCode (códigos de recuperación de 2FA) --------
+// Un solo uso cada uno; solo se guarda el hash.
+export const RecoveryCode = sequelize.define("RecoveryCode", {
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ["userId", "codeHash"] }
+  ]
+});
+
+// -------- Setting (configuración editable desde /admin) --------
+export const Setting = sequelize.define("Setting", {
+  key: {
+    type: DataTypes.STRING(80),
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+// -------- Plan (catálogo) --------
+export const Plan = sequelize.define("Plan", {
+  code: {
+    type: DataTypes.STRING(40), // ej: "single", "multi", "pro"
+    unique: true,
+    allowNull: false,
+    validate: { is: /^[a-z0-9_-]+$/ }
+  },
+  name: {
+    type: DataTypes.STRING(120),
+    allowNull: false
+  },
+  price: {
+    type: DataTypes.DECIMAL(12, 2), // monto por período de facturación
+    allowNull: false,
+    validate: { min: 0 }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    defaultValue: "ARS",
+    allowNull: false
+  },
+  frequency: {
+    type: DataTypes.INTEGER, // cada cuántos frequencyType se cobra
+    defaultValue: 1,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  frequencyType: {
+    type: DataTypes.ENUM("days", "months"), // los que acepta auto_recurring de MP
+    defaultValue: "months",
+    allowNull: false
+  },
+  maxDevices: {
+    type: DataTypes.INTEGER,
+    defaultValue: 1,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  // Política de cambio de dispositivos (null = default por env DEVICE_SWAP_*; 0 = sin límite)
+  maxDeviceSwaps: {
+    type: DataTypes.INTEGER, // desvinculaciones permitidas por ventana
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  deviceSwapWindowDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: { min: 1 }
+  },
+  deviceSlotCooldownHours: {
+    type: DataTypes.INTEGER, // espera antes de reusar un cupo liberado con otro equipo
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  // Días de validez del JWS de activación offline (null = OFFLINE_ACTIVATION_TTL_DAYS; 0 = no se permite)
+  offlineActivationDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: { min: 0 }
+  },
+  // entitlements por defecto de las licencias del plan (License.features los pisa; ver entitlements.js)
+  features: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  active: {
+    type: DataTypes.BOOLEAN, // false = no se vende más (las licencias existentes siguen andando)
+    defaultValue: true,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["code"] }
+  ],
+  hooks: {
+    beforeValidate(plan) {
+      if (plan.code) plan.code = String(plan.code).trim().toLowerCase();
+      if (plan.currency) plan.currency = String(plan.currency).trim().toUpperCase();
+    }
+  }
+});
+
+// -------- Organization (cuenta compartida: dueña de licencias, con miembros) --------
+export const Organization = sequelize.define("Organization", {
+  name: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    validate: { len: [1, 120] }
+  }
+}, {
+  timestamps: true
+});
+
+// -------- Membership (usuario en una organización con un rol) --------
+// owner: todo; billing: suscripción y cobros; device_manager: dispositivos. Todos ven las licencias.
+export const Membership = sequelize.define("Membership", {
+  role: {
+    type: DataTypes.ENUM("owner", "billing", "device_manager"),
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["organizationId", "userId"] },
+    { fields: ["userId"] }
+  ]
+});
+
+// -------- OrganizationInvite (invitación por email) --------
+// El token viaja solo por mail; en la DB queda su sha256. Se acepta con una cuenta del mismo email.
+export const OrganizationInvite = sequelize.define("OrganizationInvite", {
+  email: {
+    type: DataTypes.STRING(190),
+    allowNull: false,
+    validate: { isEmail: true }
+  },
+  role: {
+    type: DataTypes.ENUM("owner", "billing", "device_manager"),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["tokenHash"] },
+    { fields: ["organizationId", "email"] }
+  ]
+});
+
 // -------- License --------
 export const License = sequelize.define("License", {
+  name: {
+    type: DataTypes.STRING(120), // etiqueta del usuario (ej. la sucursal); una cuenta puede tener varias licencias
+    allowNull: true
+  },
   token: {
     type: DataTypes.STRING(120),
     unique: true,
     allowNull: true // se genera al activar
   },
   plan: {
-    type: DataTypes.ENUM("single", "multi"),
+    type: DataTypes.STRING(40), // Plan.code
     defaultValue: "single",
     allowNull: false
   },
   status: {
-    type: DataTypes.ENUM("inactive","active","paused","cancelled"),
+    type: DataTypes.ENUM("inactive","active","paused","cancelled","expired"),
     defaultValue: "inactive",
     allowNull: false
   },
@@ -82,10 +363,21 @@ export const License = sequelize.define("License", {
     unique: true,
     allowNull: true
   },
-  // flags/params de features del plan/cliente
+  // prueba gratuita (sin medio de pago); se apaga al autorizarse una suscripción
+  trial: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false
+  },
+  // overrides de entitlements de esta licencia sobre los del plan (ver entitlements.js)
   features: {
     type: DataTypes.JSONB,
-    defaultValue: {} // ej: { whatsapp_bot: false, ai_cameras: false }
+    defaultValue: {} // ej: { whatsapp_bot: true, max_cameras: 4 }
+  },
+  // última vez que el job de vencimientos la consultó en MP sin cambiarla (ver sweeper.js)
+  sweepCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   timestamps: true,
@@ -95,10 +387,617 @@ export const License = sequelize.define("License", {
     { fields: ["expiresAt"] },
     { unique: true, fields: ["token"] },
     { unique: true, fields: ["mpPreapprovalId"] },
-    { fields: ["userId", "status"] } // consultas rápidas por usuario+estado
+    { fields: ["userId", "status"] }, // consultas rápidas por usuario+estado
+    { fields: ["organizationId"] }
+  ]
+});
+
+// -------- PrepaidKey (claves prepagas que emiten los revendedores) --------
+// Se canjean en /license/redeem por una licencia del plan durante durationDays.
+export const PrepaidKey = sequelize.define("PrepaidKey", {
+  code: {
+    type: DataTypes.STRING(40), // VSK-XXXX-XXXX-XXXX-XXXX
+    unique: true,
+    allowNull: false
+  },
+  batchId: {
+    type: DataTypes.STRING(36), // una emisión en lote
+    allowNull: false
+  },
+  plan: {
+    type: DataTypes.STRING(40), // Plan.code
+    allowNull: false
+  },
+  durationDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: { min: 1 }
+  },
+  note: {
+    type: DataTypes.STRING(200), // referencia del revendedor (cliente, factura...)
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE, // sin canjear después de esta fecha ya no sirve
+    allowNull: false
+  },
+  redeemedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["code"] },
+    { fields: ["resellerId", "createdAt"] },
+    { fields: ["batchId"] }
+  ]
+});
+
+// -------- Device (dispositivos vinculados a una licencia) --------
+// License.devices sigue siendo la lista de cupos ocupados; acá van los datos de cada equipo.
+export const Device = sequelize.define("Device", {
+  deviceId: {
+    type: DataTypes.STRING(190), // id que manda la app (el mismo de License.devices)
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(120), // nombre amigable (lo puede cambiar el usuario)
+    allowNull: true
+  },
+  platform: {
+    type: DataTypes.STRING(60), // ej: "windows", "linux"
+    allowNull: true
+  },
+  appVersion: {
+    type: DataTypes.STRING(40),
+    allowNull: true
+  },
+  firstSeenAt: {
+    type: DataTypes.DATE, // primer validate/refresh
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastIp: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE, // se desvinculó (queda el historial)
+    allowNull: true
+  },
+  publicKeyPem: {
+    type: DataTypes.TEXT, // clave pública del equipo (SPKI PEM), se registra en el primer validate
+    allowNull: true
+  },
+  keyThumbprint: {
+    type: DataTypes.STRING(64), // thumbprint JWK (RFC 7638), va en el JWS como "dkt"
+    allowNull: true
+  },
+  keyRegisteredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["licenseId", "deviceId"] }
+  ]
+});
+
+// -------- DeviceChallenge (nonce para la prueba de posesión de la clave del equipo) --------
+export const DeviceChallenge = sequelize.define("DeviceChallenge", {
+  deviceId: {
+    type: DataTypes.STRING(190),
+    allowNull: false
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE, // un solo uso
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ["nonce"] },
+    { fields: ["expiresAt"] }
+  ]
+});
+
+// -------- DeviceRelease (cupos liberados) --------
+// Una fila por dispositivo desvinculado: alimenta el límite de cambios y el cooldown del cupo.
+export const DeviceRelease = sequelize.define("DeviceRelease", {
+  deviceId: {
+    type: DataTypes.STRING(190),
+    allowNull: false
+  },
+  actor: {
+    type: DataTypes.ENUM("user", "admin", "system"), // solo los de "user" cuentan para la política
+    allowNull: false
+  },
+  reusedAt: {
+    type: DataTypes.DATE, // el mismo equipo se volvió a vincular: no fue un cambio
+    allowNull: true
+  },
+  waivedAt: {
+    type: DataTypes.DATE, // un admin levantó la restricción
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ["licenseId", "createdAt"] }
+  ]
+});
+
+// -------- LicenseRevocation (lista de revocación offline) --------
+// Los JWS de la licencia / dispositivo emitidos antes de createdAt (o el jti indicado) dejan de valer.
+// El id autoincremental es el número de secuencia de la lista.
+export const LicenseRevocation = sequelize.define("LicenseRevocation", {
+  kind: {
+    type: DataTypes.ENUM("license", "device", "token"),
+    allowNull: false
+  },
+  deviceId: {
+    type: DataTypes.STRING(190), // kind "device"
+    allowNull: true
+  },
+  jti: {
+    type: DataTypes.STRING(64), // kind "token"
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(60), // ej: "status.cancelled", "device.detached", "admin"
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE, // pasado este momento ningún JWS afectado sigue vigente: sale de la lista
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ["expiresAt"] },
+    { fields: ["licenseId"] }
+  ]
+});
+
+// -------- SigningKey (claves RSA de las licencias) --------
+// pending -> active -> retiring -> retired. Solo la activa firma; el JWKS publica todas menos las retiradas.
+export const SigningKey = sequelize.define("SigningKey", {
+  kid: {
+    type: DataTypes.STRING(64), // thumbprint JWK (RFC 7638)
+    unique: true,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM("pending", "active", "retiring", "retired"),
+    defaultValue: "pending",
+    allowNull: false
+  },
+  publicPem: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  privatePemEnc: {
+    type: DataTypes.TEXT, // PEM privado cifrado (secret-box.js)
+    allowNull: false
+  },
+  activatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  retiringAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  retiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["kid"] },
+    { fields: ["status"] }
+  ]
+});
+
+// -------- Coupon (códigos promocionales) --------
+export const Coupon = sequelize.define("Coupon", {
+  code: {
+    type: DataTypes.STRING(60),
+    unique: true,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM("percent", "fixed"),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.DECIMAL(12, 2), // % (0-100) o monto fijo en la moneda del plan
+    allowNull: false,
+    validate: { min: 0 }
+  },
+  durationMonths: {
+    type: DataTypes.INTEGER, // meses con descuento; null = para siempre
+    allowNull: true,
+    validate: { min: 1 }
+  },
+  maxRedemptions: {
+    type: DataTypes.INTEGER, // null = ilimitado
+    allowNull: true,
+    validate: { min: 1 }
+  },
+  redemptionsCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE, // hasta cuándo se puede canjear
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["code"] }
+  ],
+  hooks: {
+    beforeValidate(coupon) {
+      if (coupon.code) coupon.code = String(coupon.code).trim().toUpperCase();
+    }
+  }
+});
+
+// -------- CouponRedemption (canjes por usuario) --------
+// Queda pendiente hasta que MP autoriza la preaprobación; si se cancela o se abandona se borra.
+export const CouponRedemption = sequelize.define("CouponRedemption", {
+  mpPreapprovalId: {
+    type: DataTypes.STRING(120), // preaprobación creada con el descuento
+    allowNull: true
+  },
+  pending: {
+    type: DataTypes.BOOLEAN, // true hasta que MP autoriza la preaprobación
+    defaultValue: false,
+    allowNull: false
+  },
+  fullAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2), // monto con descuento aplicado a la preaprobación
+    allowNull: false
+  },
+  discountEndsAt: {
+    type: DataTypes.DATE, // null = descuento permanente (se fija al confirmar)
+    allowNull: true
+  },
+  revertedAt: {
+    type: DataTypes.DATE, // cuándo se volvió al precio completo
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["couponId", "userId"] },
+    { fields: ["licenseId"] },
+    { fields: ["mpPreapprovalId"] },
+    { fields: ["revertedAt", "discountEndsAt"] }
+  ]
+});
+
+// -------- TrialClaim (pruebas gratuitas ya usadas) --------
+// Un registro por email normalizado y por dispositivo que usó una prueba: evita repetirlas.
+export const TrialClaim = sequelize.define("TrialClaim", {
+  kind: {
+    type: DataTypes.ENUM("email", "device"),
+    allowNull: false
+  },
+  value: {
+    type: DataTypes.STRING(190),
+    allowNull: false
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ["kind", "value"] }
+  ]
+});
+
+// -------- LicenseEvent (auditoría) --------
+// Un registro por cada transición de una licencia: quién, qué y valores antes/después.
+export const LicenseEvent = sequelize.define("LicenseEvent", {
+  actor: {
+    type: DataTypes.ENUM("user", "webhook", "system", "admin"),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER, // userId del usuario/admin que hizo el cambio (si aplica)
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.STRING(60), // ej: "subscribe", "webhook.preapproval", "admin.patch"
+    allowNull: false
+  },
+  before: {
+    type: DataTypes.JSONB, // solo los campos que cambiaron; null si la licencia se creó
+    allowNull: true
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  mpPayloadId: {
+    type: DataTypes.STRING(120), // data.id de la notificación / preaprobación de MP
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ["licenseId", "createdAt"] },
+    { fields: ["mpPayloadId"] }
+  ]
+});
+
+// -------- Payment (cobros de la suscripción) --------
+// Alimentado por notificaciones subscription_authorized_payment / payment de MP.
+export const Payment = sequelize.define("Payment", {
+  mpPaymentId: {
+    type: DataTypes.STRING(120), // id del pago (v1/payments)
+    unique: true,
+    allowNull: true
+  },
+  mpAuthorizedPaymentId: {
+    type: DataTypes.STRING(120), // id de la factura de la suscripción (authorized_payments)
+    unique: true,
+    allowNull: true
+  },
+  mpPreapprovalId: {
+    type: DataTypes.STRING(120),
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(30), // status de MP: approved, pending, in_process, rejected, refunded, ...
+    allowNull: false
+  },
+  statusDetail: {
+    type: DataTypes.STRING(120),
+    allowNull: true
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // período cubierto (se fija al aplicar el pago aprobado a la licencia)
+  periodStart: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  periodEnd: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  appliedAt: {
+    type: DataTypes.DATE, // cuándo se extendió expiresAt con este pago (evita aplicarlo dos veces)
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { fields: ["userId", "createdAt"] },
+    { fields: ["licenseId", "periodEnd"] },
+    { unique: true, fields: ["mpPaymentId"] },
+    { unique: true, fields: ["mpAuthorizedPaymentId"] }
+  ]
+});
+
+// -------- WebhookEvent (inbox de notificaciones de MP) --------
+// Cada notificación se persiste antes de procesarla; un worker la procesa con reintentos.
+export const WebhookEvent = sequelize.define("WebhookEvent", {
+  topic: {
+    type: DataTypes.STRING(60), // normalizado: "preapproval", ...
+    allowNull: false
+  },
+  dataId: {
+    type: DataTypes.STRING(120),
+    allowNull: false
+  },
+  notificationId: {
+    type: DataTypes.STRING(120), // body.id de la notificación (si MP lo envía)
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM("pending", "processing", "done", "ignored", "dead"),
+    defaultValue: "pending",
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    allowNull: false
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB, // body + query tal como llegaron
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["topic", "dataId"] },
+    { fields: ["status", "nextAttemptAt"] }
+  ]
+});
+
+// -------- RateLimitCounter (store de express-rate-limit en Postgres) --------
+// Un contador por clave (prefijo del limitador + IP); se reinicia al pasar resetAt.
+export const RateLimitCounter = sequelize.define("RateLimitCounter", {
+  key: {
+    type: DataTypes.STRING(200),
+    primaryKey: true
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  timestamps: false,
+  indexes: [
+    { fields: ["resetAt"] }
+  ]
+});
+
+// -------- LoginThrottle (intentos de login fallidos) --------
+// Una fila por cuenta ("account:<email>") y por IP ("ip:<ip>") con fallos recientes.
+export const LoginThrottle = sequelize.define("LoginThrottle", {
+  key: {
+    type: DataTypes.STRING(200),
+    unique: true,
+    allowNull: false
+  },
+  failures: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    allowNull: false
+  },
+  lastFailureAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ["key"] },
+    { fields: ["lastFailureAt"] }
+  ]
+});
+
+// -------- SecurityEvent (auditoría de seguridad) --------
+// Bloqueos de login y otros eventos de seguridad de cuentas.
+export const SecurityEvent = sequelize.define("SecurityEvent", {
+  type: {
+    type: DataTypes.STRING(60), // ej: "login.lockout", "login.unlock"
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING(190),
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  detail: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ["type", "createdAt"] },
+    { fields: ["userId", "createdAt"] }
   ]
 });
 
 // Relaciones
+User.hasMany(Session, { foreignKey: "userId", as: "sessions", onDelete: "CASCADE" });
+Session.belongsTo(User, { foreignKey: "userId", as: "user" });
+User.hasMany(UserToken, { foreignKey: "userId", as: "tokens", onDelete: "CASCADE" });
+UserToken.belongsTo(User, { foreignKey: "userId", as: "user" });
+User.hasMany(RecoveryCode, { foreignKey: "userId", as: "recoveryCodes", onDelete: "CASCADE" });
+RecoveryCode.belongsTo(User, { foreignKey: "userId", as: "user" });
 User.hasMany(License, { foreignKey: "userId", as: "licenses", onDelete: "CASCADE" });
 License.belongsTo(User, { foreignKey: "userId", as: "user" });
+Organization.hasMany(License, { foreignKey: "organizationId", as: "licenses", onDelete: "SET NULL" });
+License.belongsTo(Organization, { foreignKey: "organizationId", as: "organization" });
+Organization.hasMany(Membership, { foreignKey: "organizationId", as: "memberships", onDelete: "CASCADE" });
+Membership.belongsTo(Organization, { foreignKey: "organizationId", as: "organization" });
+User.hasMany(Membership, { foreignKey: "userId", as: "memberships", onDelete: "CASCADE" });
+Membership.belongsTo(User, { foreignKey: "userId", as: "user" });
+User.hasMany(PrepaidKey, { foreignKey: "resellerId", as: "prepaidKeys", onDelete: "SET NULL" });
+PrepaidKey.belongsTo(User, { foreignKey: "resellerId", as: "reseller" });
+PrepaidKey.belongsTo(User, { foreignKey: "redeemedById", as: "redeemedBy", onDelete: "SET NULL" });
+PrepaidKey.belongsTo(License, { foreignKey: "licenseId", as: "license", onDelete: "SET NULL" });
+Organization.hasMany(OrganizationInvite, { foreignKey: "organizationId", as: "invites", onDelete: "CASCADE" });
+OrganizationInvite.belongsTo(Organization, { foreignKey: "organizationId", as: "organization" });
+OrganizationInvite.belongsTo(User, { foreignKey: "invitedById", as: "invitedBy", onDelete: "SET NULL" });
+OrganizationInvite.belongsTo(User, { foreignKey: "acceptedById", as: "acceptedBy", onDelete: "SET NULL" });
+License.hasMany(LicenseEvent, { foreignKey: "licenseId", as: "events", onDelete: "CASCADE" });
+LicenseEvent.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+License.hasMany(Device, { foreignKey: "licenseId", as: "deviceRecords", onDelete: "CASCADE" });
+Device.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+License.hasMany(DeviceChallenge, { foreignKey: "licenseId", as: "deviceChallenges", onDelete: "CASCADE" });
+DeviceChallenge.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+License.hasMany(DeviceRelease, { foreignKey: "licenseId", as: "deviceReleases", onDelete: "CASCADE" });
+DeviceRelease.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+License.hasMany(LicenseRevocation, { foreignKey: "licenseId", as: "revocations", onDelete: "CASCADE" });
+LicenseRevocation.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+Coupon.hasMany(CouponRedemption, { foreignKey: "couponId", as: "redemptions", onDelete: "CASCADE" });
+CouponRedemption.belongsTo(Coupon, { foreignKey: "couponId", as: "coupon" });
+CouponRedemption.belongsTo(User, { foreignKey: "userId", as: "user", onDelete: "CASCADE" });
+CouponRedemption.belongsTo(License, { foreignKey: "licenseId", as: "license", onDelete: "CASCADE" });
+TrialClaim.belongsTo(User, { foreignKey: "userId", as: "user", onDelete: "SET NULL" });
+TrialClaim.belongsTo(License, { foreignKey: "licenseId", as: "license", onDelete: "SET NULL" });
+User.hasMany(Payment, { foreignKey: "userId", as: "payments", onDelete: "CASCADE" });
+Payment.belongsTo(User, { foreignKey: "userId", as: "user" });
+License.hasMany(Payment, { foreignKey: "licenseId", as: "payments", onDelete: "SET NULL" });
+Payment.belongsTo(License, { foreignKey: "licenseId", as: "license" });
+User.hasMany(SecurityEvent, { foreignKey: "userId", as: "securityEvents", onDelete: "SET NULL" });
+SecurityEvent.belongsTo(User, { foreignKey: "userId", as: "user" });
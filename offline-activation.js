@@ -0,0 +1,87 @@
+// backend/offline-activation.js
+import { parseDevicePublicKey, verifyDeviceSignature } from "./device-keys.js";
+import { graceEndsAt } from "./licenses.js";
+
+/**
+ * Activación offline (cajas sin acceso a internet).
+ * - La app exporta un archivo de solicitud firmado con la clave del equipo:
+ *     { typ: "vs-activation-request", ver: 1, payload, signature }
+ *   payload = base64url(JSON { token, deviceId, devicePublicKey, nonce, iat, deviceName?, platform?, appVersion? })
+ *   signature = firma de los bytes ASCII de `payload` con la privada del equipo (como en device-keys.js).
+ * - El usuario lo sube desde el panel (/license/offline-activation) y descarga la respuesta:
+ *     { typ: "vs-activation-response", ver: 1, nonce, license_jws, license, offline_ttl_sec }
+ *   con un JWS de vida larga ("off": true) que la app instala sin conexión.
+ * - Los cupos de dispositivos se controlan igual que en /public/license/validate.
+ * - Vida del JWS: Plan.offlineActivationDays (null = OFFLINE_ACTIVATION_TTL_DAYS; 0 = el plan no
+ *   permite activación offline), tope OFFLINE_ACTIVATION_MAX_DAYS y nunca más allá de la gracia de la licencia.
+ */
+
+const DEFAULT_TTL_DAYS = Number(process.env.OFFLINE_ACTIVATION_TTL_DAYS || 30);
+export const OFFLINE_ACTIVATION_MAX_DAYS = Number(process.env.OFFLINE_ACTIVATION_MAX_DAYS || 180);
+const REQUEST_MAX_AGE_HOURS = Number(process.env.OFFLINE_REQUEST_MAX_AGE_HOURS || 168);
+const CLOCK_SKEW_SEC = 300;
+
+function activationError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+const clip = (v, max) => (typeof v === "string" && v.trim() ? v.trim().slice(0, max) : undefined);
+
+/**
+ * Valida el archivo de solicitud (objeto o texto JSON) y su firma.
+ * @returns {{ token, deviceId, nonce, key: { pem, thumbprint }, info: { deviceName?, platform?, appVersion? } }}
+ * @throws Error status 400 si el archivo no es válido, la firma no coincide o venció
+ */
+export function parseActivationRequest(raw) {
+  let file = raw;
+  try {
+    if (typeof file === "string") file = JSON.parse(file);
+  } catch {
+    throw activationError(400, "El archivo de solicitud no es JSON válido");
+  }
+  if (file?.typ !== "vs-activation-request" || file.ver !== 1 || typeof file.payload !== "string" || !file.signature) {
+    throw activationError(400, "El archivo no es una solicitud de activación");
+  }
+
+  let p;
+  try {
+    p = JSON.parse(Buffer.from(file.payload, "base64url").toString("utf8"));
+  } catch {
+    throw activationError(400, "Solicitud de activación ilegible");
+  }
+  if (!p?.token || !p.deviceId || !p.nonce || !Number.isInteger(p.iat)) {
+    throw activationError(400, "Faltan datos en la solicitud (token, deviceId, nonce, iat)");
+  }
+
+  const key = parseDevicePublicKey(p.devicePublicKey);
+  if (!verifyDeviceSignature(key.pem, Buffer.from(file.payload, "ascii"), file.signature)) {
+    throw activationError(400, "Firma de la solicitud inválida");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (p.iat > now + CLOCK_SKEW_SEC || now - p.iat > REQUEST_MAX_AGE_HOURS * 3600) {
+    throw activationError(400, "La solicitud venció: generá una nueva desde la app");
+  }
+
+  return {
+    token: String(p.token),
+    deviceId: String(p.deviceId),
+    nonce: String(p.nonce).slice(0, 100),
+    key,
+    info: { deviceName: clip(p.deviceName, 120), platform: clip(p.platform, 60), appVersion: clip(p.appVersion, 40) }
+  };
+}
+
+/**
+ * Segundos de validez del JWS offline para la licencia, o 0 si el plan no lo permite.
+ */
+export function offlineTtlSecFor(plan, lic, now = new Date()) {
+  const days = plan?.offlineActivationDays ?? DEFAULT_TTL_DAYS;
+  if (!days) return 0;
+  let ttl = Math.min(days, OFFLINE_ACTIVATION_MAX_DAYS) * 86400;
+  const graceEnd = graceEndsAt(lic);
+  if (graceEnd) ttl = Math.min(ttl, Math.floor((new Date(graceEnd).getTime() - now.getTime()) / 1000));
+  return Math.max(0, ttl);
+}
@@ -0,0 +1,220 @@
+// backend/organizations.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { sequelize, Organization, Membership, OrganizationInvite, User } from "./models.js";
+import { hashToken, frontendLink } from "./account.js";
+import { sendMail } from "./mailer.js";
+
+/**
+ * Organizaciones: dueñas de licencias, con miembros por rol.
+ * - owner: todo (miembros, invitaciones, licencias, suscripción y dispositivos).
+ * - billing: ve las licencias, maneja suscripción y cobros.
+ * - device_manager: ve las licencias y maneja dispositivos.
+ * - Una licencia sin organización es personal: su usuario (License.userId) es el owner.
+ * - Las invitaciones van por mail (token de un solo uso, vence a los ORG_INVITE_TTL_DAYS)
+ *   y se aceptan con una cuenta del mismo email.
+ * - Una organización nunca se queda sin owner.
+ */
+
+export const ORG_ROLES = ["owner", "billing", "device_manager"];
+
+// Qué roles habilita cada permiso sobre una licencia
+const PERMISSIONS = {
+  view: ["owner", "billing", "device_manager"],
+  devices: ["owner", "device_manager"],
+  billing: ["owner", "billing"],
+  manage: ["owner"]
+};
+
+const INVITE_TTL_DAYS = Number(process.env.ORG_INVITE_TTL_DAYS || 7);
+
+// Atributos visibles de una invitación (nunca el hash)
+export const INVITE_ATTRS = ["id", "email", "role", "expiresAt", "acceptedAt", "revokedAt", "createdAt"];
+
+function orgError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/** ¿El rol alcanza para el permiso? */
+export function roleAllows(role, permission) {
+  return Boolean(role && PERMISSIONS[permission]?.includes(role));
+}
+
+/** Rol del usuario sobre una licencia (owner si es personal y suya), o null */
+export async function licenseRoleFor(userId, lic) {
+  if (!lic.organizationId) return lic.userId === userId ? "owner" : null;
+  const m = await Membership.findOne({ where: { organizationId: lic.organizationId, userId } });
+  return m?.role || null;
+}
+
+/**
+ * Filtro de License con las licencias sobre las que el usuario tiene el permiso:
+ * las personales suyas + las de sus organizaciones donde su rol alcanza.
+ */
+export async function licenseScopeFor(userId, permission = "view") {
+  const memberships = await Membership.findAll({
+    where: { userId, role: PERMISSIONS[permission] },
+    attributes: ["organizationId"]
+  });
+  const orgIds = memberships.map(m => m.organizationId);
+  const personal = { userId, organizationId: null };
+  return orgIds.length ? { [Op.or]: [personal, { organizationId: orgIds }] } : personal;
+}
+
+/** Organizaciones del usuario con su rol */
+export async function listUserOrganizations(userId) {
+  const rows = await Membership.findAll({
+    where: { userId },
+    include: [{ model: Organization, as: "organization", attributes: ["id", "name", "createdAt"] }],
+    order: [["createdAt", "ASC"]]
+  });
+  return rows.map(m => ({ ...m.organization.toJSON(), role: m.role }));
+}
+
+/** Crea una organización con el usuario como owner */
+export async function createOrganization(user, name) {
+  return sequelize.transaction(async (transaction) => {
+    const org = await Organization.create({ name: String(name).trim() }, { transaction });
+    await Membership.create({ organizationId: org.id, userId: user.id, role: "owner" }, { transaction });
+    return org;
+  });
+}
+
+/**
+ * Membresía del usuario en la organización con el permiso pedido.
+ * @throws Error 404 si no es miembro, 403 si su rol no alcanza
+ */
+export async function requireOrgRole(orgId, userId, permission = "view") {
+  const m = await Membership.findOne({ where: { organizationId: Number(orgId) || 0, userId } });
+  if (!m) throw orgError(404, "Organización no encontrada");
+  if (!roleAllows(m.role, permission)) throw orgError(403, "Tu rol en la organización no lo permite");
+  return m;
+}
+
+export function listMembers(orgId) {
+  return Membership.findAll({
+    where: { organizationId: orgId },
+    attributes: ["userId", "role", "createdAt"],
+    include: [{ model: User, as: "user", attributes: ["id", "email"] }],
+    order: [["createdAt", "ASC"]]
+  });
+}
+
+// Deja al menos un owner (se llama con el owner a sacar/degradar ya excluido)
+async function assertOtherOwner(orgId, userId, transaction) {
+  const owners = await Membership.count({
+    where: { organizationId: orgId, role: "owner", userId: { [Op.ne]: userId } },
+    transaction
+  });
+  if (!owners) throw orgError(409, "La organización tiene que tener al menos un owner");
+}
+
+/** Cambia el rol de un miembro */
+export async function setMemberRole(orgId, userId, role) {
+  if (!ORG_ROLES.includes(role)) throw orgError(400, "Rol inválido");
+  return sequelize.transaction(async (transaction) => {
+    const m = await Membership.findOne({ where: { organizationId: orgId, userId }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!m) throw orgError(404, "Miembro no encontrado");
+    if (m.role === "owner" && role !== "owner") await assertOtherOwner(orgId, userId, transaction);
+    m.role = role;
+    await m.save({ transaction });
+    return m;
+  });
+}
+
+/** Saca a un miembro (o el usuario se va) */
+export async function removeMember(orgId, userId) {
+  return sequelize.transaction(async (transaction) => {
+    const m = await Membership.findOne({ where: { organizationId: orgId, userId }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!m) throw orgError(404, "Miembro no encontrado");
+    if (m.role === "owner") await assertOtherOwner(orgId, userId, transaction);
+    await m.destroy({ transaction });
+  });
+}
+
+/**
+ * Invita un email a la organización y manda el mail.
+ * Una invitación pendiente anterior para el mismo email queda revocada.
+ */
+export async function inviteMember(org, { email, role }, invitedBy) {
+  const normalized = String(email || "").trim().toLowerCase();
+  if (!normalized) throw orgError(400, "email requerido");
+  if (!ORG_ROLES.includes(role)) throw orgError(400, "Rol inválido");
+
+  const existing = await User.findOne({ where: { email: normalized }, attributes: ["id"] });
+  if (existing && await Membership.count({ where: { organizationId: org.id, userId: existing.id } })) {
+    throw orgError(409, "Ese usuario ya es miembro");
+  }
+
+  await OrganizationInvite.update(
+    { revokedAt: new Date() },
+    { where: { organizationId: org.id, email: normalized, acceptedAt: null, revokedAt: null } }
+  );
+  const raw = crypto.randomBytes(32).toString("base64url");
+  const invite = await OrganizationInvite.create({
+    organizationId: org.id,
+    email: normalized,
+    role,
+    tokenHash: hashToken(raw),
+    invitedById: invitedBy.id,
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 86400_000)
+  });
+
+  const link = frontendLink("/join", raw);
+  await sendMail({
+    to: normalized,
+    subject: `Te invitaron a ${org.name}`,
+    text: `${invitedBy.email} te invitó a la organización "${org.name}" como ${role}.\n\nPara unirte entrá a:\n\n${link}\n\nEl link vence en ${INVITE_TTL_DAYS} días. Si no tenés cuenta, registrate con este mismo email.`
+  });
+  return invite;
+}
+
+export function listPendingInvites(orgId) {
+  return OrganizationInvite.findAll({
+    where: { organizationId: orgId, acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: INVITE_ATTRS,
+    order: [["createdAt", "DESC"]]
+  });
+}
+
+export async function revokeInvite(orgId, inviteId) {
+  const [n] = await OrganizationInvite.update(
+    { revokedAt: new Date() },
+    { where: { id: Number(inviteId) || 0, organizationId: orgId, acceptedAt: null, revokedAt: null } }
+  );
+  if (!n) throw orgError(404, "Invitación no encontrada");
+}
+
+/**
+ * Acepta una invitación con la cuenta logueada (tiene que ser el email invitado).
+ * @returns {Promise<Membership>}
+ */
+export async function acceptInvite(raw, user) {
+  if (!raw) throw orgError(400, "token requerido");
+  return sequelize.transaction(async (transaction) => {
+    const invite = await OrganizationInvite.findOne({
+      where: { tokenHash: hashToken(raw) },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!invite || invite.acceptedAt || invite.revokedAt || new Date(invite.expiresAt) < new Date()) {
+      throw orgError(400, "Invitación inválida o vencida");
+    }
+    if (invite.email !== String(user.email).toLowerCase()) {
+      throw orgError(403, "La invitación es para otro email");
+    }
+    const [membership, created] = await Membership.findOrCreate({
+      where: { organizationId: invite.organizationId, userId: user.id },
+      defaults: { role: invite.role },
+      transaction
+    });
+    if (!created) throw orgError(409, "Ya sos miembro de esta organización");
+    invite.acceptedAt = new Date();
+    invite.acceptedById = user.id;
+    await invite.save({ transaction });
+    return membership;
+  });
+}
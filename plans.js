@@ -0,0 +1,59 @@
+// backend/plans.js
+import { Plan } from "./models.js";
+
+/**
+ * Catálogo de planes (tabla Plans).
+ * - Precio, moneda, frecuencia de cobro, límite de dispositivos y entitlements por defecto
+ *   (Plan.features, validados contra el registro de entitlements.js).
+ * - Al arrancar se crean "single" y "multi" si no existen (precios desde PRICE_SINGLE / PRICE_MULTI).
+ */
+
+// Atributos públicos de un plan (GET /plans)
+export const PLAN_ATTRS = [
+  "code", "name", "price", "currency", "frequency", "frequencyType", "maxDevices",
+  "maxDeviceSwaps", "deviceSwapWindowDays", "deviceSlotCooldownHours", "offlineActivationDays", "features"
+];
+
+function defaultPlans() {
+  const currency = (process.env.MP_CURRENCY || "ARS").toUpperCase();
+  return [
+    { code: "single", name: "Licencia single", price: Number(process.env.PRICE_SINGLE || 2999), currency, maxDevices: 1, features: {} },
+    { code: "multi",  name: "Licencia multi",  price: Number(process.env.PRICE_MULTI  || 4499), currency, maxDevices: 3, features: {} }
+  ];
+}
+
+/** Crea los planes por defecto que falten (no toca los existentes) */
+export async function seedDefaultPlans() {
+  for (const p of defaultPlans()) {
+    await Plan.findOrCreate({ where: { code: p.code }, defaults: p });
+  }
+}
+
+/**
+ * Busca un plan por código.
+ * @param {string} code
+ * @param {{ activeOnly?: boolean }} opts - activeOnly: solo planes a la venta
+ */
+export async function getPlan(code, { activeOnly = false } = {}) {
+  if (!code) return null;
+  const plan = await Plan.findOne({ where: { code: String(code).toLowerCase() } });
+  if (!plan || (activeOnly && !plan.active)) return null;
+  return plan;
+}
+
+export function listActivePlans() {
+  return Plan.findAll({
+    where: { active: true },
+    attributes: PLAN_ATTRS,
+    order: [["price", "ASC"], ["code", "ASC"]]
+  });
+}
+
+/** Suma un período de facturación del plan a una fecha (default: 1 mes) */
+export function addBillingPeriod(date, plan) {
+  const d = new Date(date);
+  const n = plan?.frequency || 1;
+  if (plan?.frequencyType === "days") d.setDate(d.getDate() + n);
+  else d.setMonth(d.getMonth() + n);
+  return d;
+}
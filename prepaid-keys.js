@@ -0,0 +1,200 @@
+// backend/prepaid-keys.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { sequelize, PrepaidKey } from "./models.js";
+import { getPlan } from "./plans.js";
+import { generateLicenseToken } from "./licenses.js";
+import { saveLicense, createLicense } from "./license-events.js";
+
+/**
+ * Claves prepagas (canal de revendedores).
+ * - Un revendedor paga por adelantado y emite claves en lote para un plan y una duración.
+ * - La tienda canjea la clave en /license/redeem: se crea una licencia activa por durationDays
+ *   (o se extiende una prepaga suya del mismo plan). Cada clave se canjea una sola vez.
+ * - Una clave sin canjear vence en PREPAID_KEY_VALIDITY_DAYS (o expiresInDays al emitir).
+ * - Estado: issued (disponible), redeemed o expired (derivado de redeemedAt / expiresAt).
+ */
+
+const VALIDITY_DAYS = Number(process.env.PREPAID_KEY_VALIDITY_DAYS || 365);
+const BATCH_MAX = Number(process.env.PREPAID_KEY_BATCH_MAX || 500);
+const CSV_MAX_ROWS = 10_000;
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // sin 0/O ni 1/I
+
+export const KEY_STATUSES = ["issued", "redeemed", "expired"];
+
+// Atributos visibles en el panel del revendedor
+export const PREPAID_KEY_ATTRS = ["id", "code", "batchId", "plan", "durationDays", "note", "expiresAt", "redeemedAt", "licenseId", "createdAt"];
+
+function keyError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/** VSK-XXXX-XXXX-XXXX-XXXX (80 bits) */
+function generateKeyCode() {
+  const chars = [...crypto.randomBytes(16)].map(b => ALPHABET[b % 32]).join("");
+  return `VSK-${chars.match(/.{4}/g).join("-")}`;
+}
+
+/** Lo que tipea la tienda: sin espacios y en mayúsculas */
+export function normalizeKeyCode(code) {
+  return String(code || "").trim().toUpperCase().replace(/\s+/g, "");
+}
+
+export function keyStatus(key, now = new Date()) {
+  if (key.redeemedAt) return "redeemed";
+  return new Date(key.expiresAt) <= now ? "expired" : "issued";
+}
+
+/** Filtro de PrepaidKey para un estado */
+function statusWhere(status, now = new Date()) {
+  if (status === "redeemed") return { redeemedAt: { [Op.ne]: null } };
+  if (status === "expired") return { redeemedAt: null, expiresAt: { [Op.lte]: now } };
+  if (status === "issued") return { redeemedAt: null, expiresAt: { [Op.gt]: now } };
+  return {};
+}
+
+/**
+ * Emite un lote de claves.
+ * @param {{ plan, durationDays, quantity, expiresInDays?, note? }} p
+ * @returns {Promise<{ batchId, plan, durationDays, expiresAt, keys: string[] }>}
+ * @throws Error status 400 si los datos no son válidos
+ */
+export async function mintPrepaidKeys(reseller, { plan, durationDays, quantity, expiresInDays, note } = {}) {
+  const planRow = await getPlan(plan);
+  if (!planRow) throw keyError(400, "Plan inválido");
+  const days = Number(durationDays);
+  if (!Number.isInteger(days) || days < 1 || days > 3660) throw keyError(400, "durationDays debe ser un entero entre 1 y 3660");
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1 || qty > BATCH_MAX) throw keyError(400, `quantity debe ser un entero entre 1 y ${BATCH_MAX}`);
+  const validity = expiresInDays === undefined ? VALIDITY_DAYS : Number(expiresInDays);
+  if (!Number.isInteger(validity) || validity < 1) throw keyError(400, "expiresInDays debe ser un entero >= 1");
+
+  const batchId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + validity * 86400_000);
+  const codes = new Set();
+  while (codes.size < qty) codes.add(generateKeyCode());
+
+  await PrepaidKey.bulkCreate([...codes].map(code => ({
+    code,
+    batchId,
+    plan: planRow.code,
+    durationDays: days,
+    note: note ? String(note).trim().slice(0, 200) || null : null,
+    expiresAt,
+    resellerId: reseller.id
+  })));
+  return { batchId, plan: planRow.code, durationDays: days, expiresAt, keys: [...codes] };
+}
+
+/**
+ * Filtro del panel.
+ * @param {{ resellerId?, status?, plan?, batchId? }} f
+ */
+export function prepaidKeysWhere({ resellerId, status, plan, batchId } = {}) {
+  const where = { ...statusWhere(status) };
+  if (resellerId) where.resellerId = resellerId;
+  if (plan) where.plan = String(plan).toLowerCase();
+  if (batchId) where.batchId = String(batchId);
+  return where;
+}
+
+/** Página de claves con su estado */
+export async function listPrepaidKeys(where, { limit = 20, offset = 0 } = {}) {
+  const { rows, count } = await PrepaidKey.findAndCountAll({
+    where,
+    attributes: PREPAID_KEY_ATTRS,
+    order: [["createdAt", "DESC"], ["id", "DESC"]],
+    limit,
+    offset
+  });
+  const now = new Date();
+  return { rows: rows.map(k => ({ ...k.toJSON(), status: keyStatus(k, now) })), count };
+}
+
+/** Cantidad de claves por estado (para el panel del revendedor) */
+export async function summarizePrepaidKeys(resellerId) {
+  const out = {};
+  for (const status of KEY_STATUSES) {
+    out[status] = await PrepaidKey.count({ where: prepaidKeysWhere({ resellerId, status }) });
+  }
+  return out;
+}
+
+function csvCell(value) {
+  let s = value instanceof Date ? value.toISOString() : String(value ?? "");
+  if (/^[=+\-@]/.test(s)) s = `'${s}`; // que una planilla no lo tome como fórmula
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Export CSV (hasta CSV_MAX_ROWS claves, más recientes primero) */
+export async function exportPrepaidKeysCsv(where) {
+  const rows = await PrepaidKey.findAll({
+    where,
+    attributes: PREPAID_KEY_ATTRS,
+    order: [["createdAt", "DESC"], ["id", "DESC"]],
+    limit: CSV_MAX_ROWS
+  });
+  const now = new Date();
+  const header = ["code", "status", "plan", "durationDays", "batchId", "note", "createdAt", "expiresAt", "redeemedAt", "licenseId"];
+  const lines = rows.map(k => {
+    const row = { ...k.toJSON(), status: keyStatus(k, now) };
+    return header.map(h => csvCell(row[h])).join(",");
+  });
+  return [header.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+/**
+ * Canjea una clave.
+ * - Sin `license`: crea una licencia activa del plan por durationDays.
+ * - Con `license` (prepaga del mismo plan, sin suscripción activa): suma durationDays a su vencimiento.
+ * @param {{ license?: License, name?: string }} opts
+ * @returns {Promise<{ license: License, created: boolean }>}
+ * @throws Error 404 (no existe), 409 (ya canjeada / licencia incompatible), 410 (vencida)
+ */
+export async function redeemPrepaidKey(code, user, { license = null, name = null } = {}) {
+  const normalized = normalizeKeyCode(code);
+  if (!normalized) throw keyError(400, "code requerido");
+
+  return sequelize.transaction(async (transaction) => {
+    const key = await PrepaidKey.findOne({ where: { code: normalized }, transaction, lock: transaction.LOCK.UPDATE });
+    if (!key) throw keyError(404, "Clave inexistente");
+    const status = keyStatus(key);
+    if (status === "redeemed") throw keyError(409, "La clave ya fue canjeada");
+    if (status === "expired") throw keyError(410, "La clave venció");
+    if (!(await getPlan(key.plan))) throw keyError(409, "El plan de la clave ya no existe");
+
+    const ctx = { actor: "user", actorId: user.id, action: "license.redeem", transaction };
+    const now = new Date();
+    let lic = license;
+    if (lic) {
+      if (lic.plan !== key.plan) throw keyError(409, `La clave es del plan ${key.plan} y la licencia es ${lic.plan}`);
+      if (lic.mpPreapprovalId && lic.status === "active" && !lic.trial) {
+        throw keyError(409, "La licencia tiene una suscripción activa");
+      }
+      const base = lic.status === "active" && lic.expiresAt && new Date(lic.expiresAt) > now ? new Date(lic.expiresAt) : now;
+      lic.expiresAt = new Date(base.getTime() + key.durationDays * 86400_000);
+      lic.status = "active";
+      lic.trial = false;
+      if (!lic.token) lic.token = generateLicenseToken();
+      await saveLicense(lic, ctx);
+    } else {
+      lic = await createLicense({
+        userId: user.id,
+        name: name ? String(name).trim().slice(0, 120) || null : null,
+        plan: key.plan,
+        status: "active",
+        expiresAt: new Date(now.getTime() + key.durationDays * 86400_000),
+        token: generateLicenseToken()
+      }, ctx);
+    }
+
+    key.redeemedAt = now;
+    key.redeemedById = user.id;
+    key.licenseId = lic.id;
+    await key.save({ transaction });
+    return { license: lic, created: !license };
+  });
+}
@@ -0,0 +1,81 @@
+// backend/rate-limit.js
+import rateLimit from "express-rate-limit";
+import { Op } from "sequelize";
+
+import { sequelize, RateLimitCounter } from "./models.js";
+
+/**
+ * Limitadores por ruta (express-rate-limit).
+ * - Cada limitador se configura con RATE_LIMIT_<NOMBRE>_MAX y RATE_LIMIT_<NOMBRE>_WINDOW_SEC.
+ * - RATE_LIMIT_STORE=postgres guarda los contadores en la tabla RateLimitCounters
+ *   (compartidos entre instancias); "memory" (default) los deja en el proceso.
+ * - Si la DB falla, el limitador deja pasar el request (passOnStoreError).
+ */
+
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+
+/**
+ * Store de express-rate-limit sobre Postgres: un UPSERT atómico por hit.
+ */
+export class PostgresRateLimitStore {
+  constructor({ prefix = "rl:" } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const table = RateLimitCounter.getTableName();
+    const now = new Date();
+    const [rows] = await sequelize.query(
+      `INSERT INTO "${table}" AS c ("key", "hits", "resetAt") VALUES (:key, 1, :resetAt)
+       ON CONFLICT ("key") DO UPDATE SET
+         "hits" = CASE WHEN c."resetAt" <= :now THEN 1 ELSE c."hits" + 1 END,
+         "resetAt" = CASE WHEN c."resetAt" <= :now THEN EXCLUDED."resetAt" ELSE c."resetAt" END
+       RETURNING "hits", "resetAt"`,
+      { replacements: { key: this.prefix + key, now, resetAt: new Date(now.getTime() + this.windowMs) } }
+    );
+    return { totalHits: Number(rows[0].hits), resetTime: new Date(rows[0].resetAt) };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.update(
+      { hits: sequelize.literal(`GREATEST("hits" - 1, 0)`) },
+      { where: { key: this.prefix + key } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.destroy({ where: { key: this.prefix + key } });
+  }
+}
+
+/** Borra contadores vencidos (lo llama el sweeper) */
+export async function purgeRateLimitCounters(now = new Date()) {
+  if (RATE_LIMIT_STORE !== "postgres") return 0;
+  return RateLimitCounter.destroy({ where: { resetAt: { [Op.lt]: now } } });
+}
+
+/**
+ * Crea un limitador con nombre y valores por defecto (pisables por env).
+ * @param {string} name - ej: "login" -> RATE_LIMIT_LOGIN_MAX / RATE_LIMIT_LOGIN_WINDOW_SEC
+ * @param {{ max: number, windowSec: number }} defaults
+ */
+export function createLimiter(name, { max, windowSec }) {
+  const env = name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const limit = Number(process.env[`RATE_LIMIT_${env}_MAX`] || max);
+  const windowMs = Number(process.env[`RATE_LIMIT_${env}_WINDOW_SEC`] || windowSec) * 1000;
+
+  return rateLimit({
+    windowMs,
+    max: limit,
+    standardHeaders: true,
+    legacyHeaders: false,
+    passOnStoreError: true,
+    ...(RATE_LIMIT_STORE === "postgres" ? { store: new PostgresRateLimitStore({ prefix: `${name}:` }) } : {}),
+    message: { error: "Demasiadas solicitudes. Probá de nuevo en unos minutos." }
+  });
+}
@@ -0,0 +1,86 @@
+// backend/reseller.js
+import express from "express";
+
+import { authMiddleware } from "./auth.js";
+import { logger } from "./logger.js";
+import {
+  KEY_STATUSES,
+  mintPrepaidKeys,
+  prepaidKeysWhere,
+  listPrepaidKeys,
+  summarizePrepaidKeys,
+  exportPrepaidKeysCsv
+} from "./prepaid-keys.js";
+
+// Filtros del panel a partir del query string (status inválido -> null)
+function keysFilter(req) {
+  const { status, plan, batchId } = req.query;
+  if (status && !KEY_STATUSES.includes(status)) return null;
+  return prepaidKeysWhere({ resellerId: req.user.id, status, plan, batchId });
+}
+
+/**
+ * Router del revendedor (rol "reseller"): emite claves prepagas y sigue su canje.
+ * - Solo ve sus propias claves; de la licencia canjeada solo el id (no datos de la tienda).
+ *
+ * Uso:
+ *   app.use("/reseller", createResellerRouter());
+ */
+export function createResellerRouter() {
+  const router = express.Router();
+  router.use(authMiddleware("reseller"));
+
+  // Emitir un lote: { plan, durationDays, quantity, expiresInDays?, note? }
+  router.post("/keys", async (req, res) => {
+    try {
+      const batch = await mintPrepaidKeys(req.user, req.body || {});
+      res.status(201).json(batch);
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: err.message });
+      logger.error("reseller keys mint error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // ?status=issued|redeemed|expired&plan=&batchId=&page=&pageSize=
+  router.get("/keys", async (req, res) => {
+    try {
+      const where = keysFilter(req);
+      if (!where) return res.status(400).json({ error: "Estado inválido" });
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+      const { rows, count } = await listPrepaidKeys(where, { limit: pageSize, offset: (page - 1) * pageSize });
+      res.json({ items: rows, total: count, page, pageSize });
+    } catch (err) {
+      logger.error("reseller keys list error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Tablero: cantidad de claves por estado
+  router.get("/keys/summary", async (req, res) => {
+    try {
+      res.json(await summarizePrepaidKeys(req.user.id));
+    } catch (err) {
+      logger.error("reseller keys summary error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  // Mismos filtros que /keys, en CSV
+  router.get("/keys.csv", async (req, res) => {
+    try {
+      const where = keysFilter(req);
+      if (!where) return res.status(400).json({ error: "Estado inválido" });
+      const csv = await exportPrepaidKeysCsv(where);
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="claves-${new Date().toISOString().slice(0, 10)}.csv"`);
+      res.send(csv);
+    } catch (err) {
+      logger.error("reseller keys csv error", err);
+      res.status(500).json({ error: "Error interno del servidor." });
+    }
+  });
+
+  return router;
+}
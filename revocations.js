@@ -0,0 +1,118 @@
+// backend/revocations.js
+import { Op } from "sequelize";
+
+import { LicenseRevocation } from "./models.js";
+import { signRevocationListJWS } from "./license-sign.js";
+import { OFFLINE_ACTIVATION_MAX_DAYS } from "./offline-activation.js";
+
+/**
+ * Lista de revocación offline (firmada con la clave de licencias).
+ * - license: todo JWS de la licencia con iat < before deja de valer (cancelada, pausada, token nuevo...).
+ * - device:  idem, solo para ese dispositivo (se desvinculó).
+ * - token:   un JWS puntual por su jti.
+ * - seq es el id de la última revocación: sube con cada entrada nueva y nunca baja.
+ * - Una entrada sale de la lista cuando ya no puede quedar ningún JWS afectado
+ *   (revocación + el mayor de LICENSE_OFFLINE_TTL_SEC y OFFLINE_ACTIVATION_MAX_DAYS).
+ */
+
+const OFFLINE_TTL_SEC = Math.max(
+  Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600),
+  OFFLINE_ACTIVATION_MAX_DAYS * 86400 // JWS de activación offline
+);
+const CACHE_MS = 30_000;
+
+let _cache = null; // { seq, jws, at }
+
+function entryExpiresAt(now = new Date()) {
+  return new Date(now.getTime() + OFFLINE_TTL_SEC * 1000);
+}
+
+// En segundos y redondeado hacia abajo (iat < before): un JWS re-emitido en el mismo segundo de la
+// revocación sigue valiendo
+const beforeOf = (row) => Math.floor(new Date(row.createdAt).getTime() / 1000);
+
+/**
+ * Revocaciones que implica un cambio de licencia (lo llama saveLicense).
+ * @param {License} lic - ya guardada
+ * @param {{ status?: string, devices?: string[], token?: string }} before - valores previos de los campos que cambiaron
+ */
+export async function recordLicenseRevocations(lic, before, transaction) {
+  const rows = [];
+  const expiresAt = entryExpiresAt();
+
+  if (before.status === "active" && lic.status !== "active") {
+    rows.push({ kind: "license", licenseId: lic.id, reason: `status.${lic.status}`, expiresAt });
+  } else if (before.token && before.token !== lic.token) {
+    rows.push({ kind: "license", licenseId: lic.id, reason: "token.regenerated", expiresAt });
+  }
+  if (before.devices) {
+    const next = new Set(lic.devices || []);
+    for (const deviceId of before.devices) {
+      if (!next.has(deviceId)) rows.push({ kind: "device", licenseId: lic.id, deviceId, reason: "device.detached", expiresAt });
+    }
+  }
+
+  if (rows.length) {
+    await LicenseRevocation.bulkCreate(rows, { transaction });
+    _cache = null;
+  }
+}
+
+/**
+ * Revocación manual (admin): una licencia entera o un JWS puntual.
+ * @param {{ licenseId?: number, jti?: string, reason?: string }} p
+ */
+export async function createRevocation({ licenseId = null, jti = null, reason = "admin" }) {
+  const row = await LicenseRevocation.create({
+    kind: jti ? "token" : "license",
+    licenseId,
+    jti: jti ? String(jti) : null,
+    reason,
+    expiresAt: entryExpiresAt()
+  });
+  _cache = null;
+  return row;
+}
+
+/** Contenido de la lista vigente */
+export async function buildRevocationList(now = new Date()) {
+  const seq = (await LicenseRevocation.max("id")) || 0;
+  const rows = await LicenseRevocation.findAll({
+    where: { expiresAt: { [Op.gt]: now } },
+    order: [["id", "ASC"]]
+  });
+
+  const licenses = new Map(); // licenseId -> before (nos quedamos con el más reciente)
+  const devices = new Map();  // "licenseId:deviceId" -> { lic, dev, before }
+  const tokens = new Set();
+  for (const r of rows) {
+    if (r.kind === "license") licenses.set(r.licenseId, beforeOf(r));
+    else if (r.kind === "device") devices.set(`${r.licenseId}:${r.deviceId}`, { lic: r.licenseId, dev: r.deviceId, before: beforeOf(r) });
+    else if (r.jti) tokens.add(r.jti);
+  }
+
+  return {
+    seq,
+    licenses: [...licenses].map(([lic, before]) => ({ lic, before })),
+    devices: [...devices.values()],
+    tokens: [...tokens]
+  };
+}
+
+/**
+ * Lista firmada (JWS compacto), cacheada unos segundos.
+ * @returns {Promise<{ seq: number, jws: string }>}
+ */
+export async function getSignedRevocationList() {
+  if (_cache && Date.now() - _cache.at < CACHE_MS) return _cache;
+  const list = await buildRevocationList();
+  _cache = { seq: list.seq, jws: signRevocationListJWS(list), at: Date.now() };
+  return _cache;
+}
+
+/** Borra entradas vencidas (menos la última, que sostiene el número de secuencia) */
+export async function purgeExpiredRevocations(now = new Date()) {
+  const maxId = await LicenseRevocation.max("id");
+  if (!maxId) return 0;
+  return LicenseRevocation.destroy({ where: { expiresAt: { [Op.lte]: now }, id: { [Op.lt]: maxId } } });
+}
@@ -0,0 +1,27 @@
+// backend/secret-box.js
+import crypto from "node:crypto";
+
+/**
+ * Cifrado de secretos guardados en la DB (AES-256-GCM).
+ * Formato: "v1:<iv>:<tag>:<datos>" en base64url. La clave se deriva (sha256) de una frase del env.
+ */
+
+function keyFrom(passphrase) {
+  if (!passphrase) throw new Error("secret-box: falta la clave de cifrado");
+  return crypto.createHash("sha256").update(String(passphrase)).digest();
+}
+
+export function encryptSecret(plain, passphrase) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keyFrom(passphrase), iv);
+  const data = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return ["v1", iv, cipher.getAuthTag(), data].map(p => (typeof p === "string" ? p : p.toString("base64url"))).join(":");
+}
+
+export function decryptSecret(stored, passphrase) {
+  const [v, iv, tag, data] = String(stored || "").split(":");
+  if (v !== "v1") throw new Error("secret-box: formato desconocido");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", keyFrom(passphrase), Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+}
@@ -3,62 +3,141 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
-import morgan from "morgan";
-import rateLimit from "express-rate-limit";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 
-import { sequelize, User, License } from "./models.js";
+import { Op } from "sequelize";
+
+import { sequelize, User, License, Payment, Organization } from "./models.js";
 import {
   initializeMercadoPago,
   createSubscriptionDirect,
   getPreapprovalById,
   cancelPreapproval,
   pausePreapproval,
-  resumePreapproval
+  resumePreapproval,
+  updatePreapprovalAmount,
+  parseExternalReference,
+  verifyWebhookSignature
 } from "./mercadopago.js";
-import { authMiddleware } from "./auth.js";
+import { authMiddleware, twoFactorRequiredFor } from "./auth.js";
 import { signLicenseJWS, getPublicKeyPem } from "./license-sign.js";
+import { generateLicenseToken, ensurePendingWindow, graceEndsAt, isPastGrace, findLicenseForPreapproval } from "./licenses.js";
+import { seedDefaultPlans, getPlan, listActivePlans } from "./plans.js";
+import { runMigrations } from "./migrations.js";
+import { resolveEntitlements, splitEntitlements } from "./entitlements.js";
+import { saveLicense, createLicense, listLicenseEvents } from "./license-events.js";
+import { listUserPayments, userPaymentsWhere, PAYMENT_ATTRS } from "./billing.js";
+import { trialsEnabled, startTrial, claimTrialDevice, assertTrialConfig } from "./trials.js";
+import { createSession, refreshSession, revokeSession, revokeAllSessions, listActiveSessions, markSessionMfa } from "./sessions.js";
+import { consumeUserToken, sendVerificationEmail, sendPasswordResetEmail } from "./account.js";
+import { assertMailConfig } from "./mailer.js";
+import { findRedeemableCoupon, redeemCoupon, applyDiscount, priceForLicense } from "./coupons.js";
+import { startLicenseSweeper } from "./sweeper.js";
+import { parseNotification, enqueueWebhook, runWebhookWorkerOnce, startWebhookWorker } from "./webhooks.js";
+import { createAdminRouter } from "./admin.js";
+import { createResellerRouter } from "./reseller.js";
+import { redeemPrepaidKey } from "./prepaid-keys.js";
+import { getSignedRevocationList } from "./revocations.js";
+import { loadSigningKeys, startSigningKeysReloader, getJwks } from "./signing-keys.js";
+import { assertAttachAllowed, assertDetachAllowed, recordDeviceRelease, markDeviceReused, swapStatus } from "./device-policy.js";
+import { deviceInfoFromBody, deviceJSON, ensureDevice, recordDeviceSeen, listLicenseDevices, findDeviceInLicenses } from "./devices.js";
+import { checkDeviceKey, registerDeviceKey, deviceKeyConflicts, issueDeviceChallenge } from "./device-keys.js";
+import { parseActivationRequest, offlineTtlSecFor } from "./offline-activation.js";
+import { createLimiter } from "./rate-limit.js";
+import { logger, requestLogger } from "./logger.js";
+import {
+  ORG_ROLES,
+  INVITE_ATTRS,
+  roleAllows,
+  licenseRoleFor,
+  licenseScopeFor,
+  listUserOrganizations,
+  createOrganization,
+  requireOrgRole,
+  listMembers,
+  setMemberRole,
+  removeMember,
+  inviteMember,
+  listPendingInvites,
+  revokeInvite,
+  acceptInvite
+} from "./organizations.js";
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, clearLoginFailures } from "./login-guard.js";
+import {
+  twoFactorStatus,
+  beginTotpEnrollment,
+  confirmTotpEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  issueMfaToken,
+  readMfaToken
+} from "./two-factor.js";
 
 /* =========================
    Config & helpers
 ========================= */
 const app = express();
+app.use(requestLogger()); // X-Request-Id + una línea JSON por request (ver logger.js)
 
 // CORS
 const allowOrigins = (process.env.ALLOW_ORIGINS || "")
   .split(",")
   .map(s => s.trim())
   .filter(Boolean);
-app.use(cors({ origin: allowOrigins.length ? allowOrigins : true, credentials: true }));
+app.use(cors({ origin: allowOrigins.length ? allowOrigins : true, credentials: true, exposedHeaders: ["X-Request-Id"] }));
 
 app.use(helmet());
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan("dev"));
 app.set("trust proxy", 1);
-app.use(rateLimit({ windowMs: 60_000, max: 200 }));
+app.use(createLimiter("global", { max: 200, windowSec: 60 }));
+
+// Límites propios por ruta (RATE_LIMIT_<NOMBRE>_MAX / _WINDOW_SEC)
+const registerLimiter = createLimiter("register", { max: 5, windowSec: 3600 });
+const loginLimiter = createLimiter("login", { max: 20, windowSec: 900 });
+const publicLicenseLimiter = createLimiter("public_license", { max: 60, windowSec: 60 });
+const redeemLimiter = createLimiter("redeem", { max: 10, windowSec: 600 });
 
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET;
 const MP_ACCESS_TOKEN = process.env.MP_ACCESS_TOKEN;
 const FRONTEND_URL = process.env.FRONTEND_URL || process.env.CLIENT_URL || "http://localhost:5173";
 const PUBLIC_RETURN_URL_BASE = process.env.PUBLIC_RETURN_URL_BASE; // p.ej. https://panel-web-backend-vs-production.up.railway.app
+const LICENSE_OFFLINE_TTL_SEC = Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600); // JWS de validate / refresh
 const WEBHOOK_PUBLIC_URL = process.env.WEBHOOK_PUBLIC_URL;         // usado como fallback para base pública
-
-if (!JWT_SECRET) { console.error("Falta JWT_SECRET"); process.exit(1); }
-if (!process.env.DATABASE_URL) { console.error("Falta DATABASE_URL"); process.exit(1); }
-if (!MP_ACCESS_TOKEN) { console.error("Falta MP_ACCESS_TOKEN"); process.exit(1); }
+const REQUIRE_VERIFIED_EMAIL = (process.env.REQUIRE_VERIFIED_EMAIL || "false").toLowerCase() === "true"; // para /subscribe y /license/redeem
+const MP_WEBHOOK_SECRET = process.env.MP_WEBHOOK_SECRET;           // clave secreta de webhooks (panel de MP)
+// Solo en desarrollo se pueden aceptar notificaciones sin firma (p. ej. pruebas con curl)
+const MP_WEBHOOK_ALLOW_UNSIGNED =
+  process.env.NODE_ENV === "development" &&
+  (process.env.MP_WEBHOOK_ALLOW_UNSIGNED || "false").toLowerCase() === "true";
+
+if (!JWT_SECRET) { logger.error("Falta JWT_SECRET"); process.exit(1); }
+if (!process.env.DATABASE_URL) { logger.error("Falta DATABASE_URL"); process.exit(1); }
+if (!MP_ACCESS_TOKEN) { logger.error("Falta MP_ACCESS_TOKEN"); process.exit(1); }
+if (!MP_WEBHOOK_SECRET && !MP_WEBHOOK_ALLOW_UNSIGNED) { logger.error("Falta MP_WEBHOOK_SECRET"); process.exit(1); }
+try { assertMailConfig(); } catch (e) { logger.error(e.message); process.exit(1); }
+try { assertTrialConfig(); } catch (e) { logger.error(e.message); process.exit(1); }
+if (MP_WEBHOOK_ALLOW_UNSIGNED) logger.warn("MP_WEBHOOK_ALLOW_UNSIGNED activo: se aceptan notificaciones sin firma (solo dev)");
 
 initializeMercadoPago(MP_ACCESS_TOKEN);
 
 // DB
-await sequelize.authenticate().catch(err => { console.error("Error DB:", err); process.exit(1); });
-await sequelize.sync();
-console.log("DB lista");
-
-// JWT
-const signJWT = (u) => jwt.sign({ id: u.id, email: u.email, role: u.role }, JWT_SECRET, { expiresIn: "7d" });
+await sequelize.authenticate().catch(err => { logger.error("Error DB", err); process.exit(1); });
+// Cambios de tipo que sync() no aplica en bases existentes (ver migrations.js)
+await runMigrations()
+  .then(steps => { if (steps.length) logger.info("migraciones aplicadas", { steps }); })
+  .catch(err => { logger.error("Error en migraciones", err); process.exit(1); });
+// DB_SYNC_ALTER=true agrega columnas nuevas en tablas existentes
+await sequelize.sync({ alter: (process.env.DB_SYNC_ALTER || "false").toLowerCase() === "true" });
+await seedDefaultPlans();
+await loadSigningKeys();
+logger.info("DB lista");
+
+startWebhookWorker();
+startLicenseSweeper();
+startSigningKeysReloader();
 
 // Helpers URL
 function ensureAbsoluteUrl(input, fallback = "http://localhost:5173") {
@@ -78,14 +157,21 @@ function computeMpBackUrl() {
 
   const u = new URL(candidate);
   if (u.protocol !== "https:") {
-    console.warn("[/subscribe] back_url no es https; usado igualmente, MP puede rechazar. value:", candidate);
+    logger.warn("back_url no es https; usado igualmente, MP puede rechazar", { backUrl: candidate });
   }
   return u.toString();
 }
 
-function limitForPlan(plan) { return plan === "multi" ? 3 : 1; }
-function generateLicenseToken() {
-  return `VS-${Math.random().toString(36).slice(2, 8)}-${Date.now().toString(36)}`;
+// Parámetros de precio/frecuencia de un Plan para createSubscriptionDirect
+function mpPlanParams(plan) {
+  return {
+    plan: plan.code,
+    planName: plan.name,
+    amount: Number(plan.price),
+    currency: plan.currency,
+    frequency: plan.frequency,
+    frequencyType: plan.frequencyType
+  };
 }
 
 // HTML fallback para redirección (sirve cuando el webview no sigue 302 o salta https→http localhost)
@@ -120,33 +206,187 @@ function htmlRedirect(targetUrl) {
 ========================= */
 app.get("/health", (_, res) => res.json({ ok: true, ts: Date.now() }));
 
-app.post("/register", async (req, res) => {
+// Catálogo de planes a la venta
+app.get("/plans", async (_, res) => {
   try {
-    const { email, password } = req.body || {};
+    res.json(await listActivePlans());
+  } catch (err) {
+    logger.error("plans error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+app.post("/register", registerLimiter, async (req, res) => {
+  try {
+    const { email, password, trial, deviceId } = req.body || {};
     if (!email || !password) return res.status(400).json({ error: "Email y contraseña son requeridos." });
     const exists = await User.findOne({ where: { email } });
     if (exists) return res.status(409).json({ error: "El email ya está registrado." });
 
     const passwordHash = await bcrypt.hash(password, 10);
     const user = await User.create({ email, passwordHash, role: "client" });
-    res.status(201).json({ id: user.id, email: user.email, role: user.role });
+    const out = { id: user.id, email: user.email, role: user.role };
+
+    // Si el mail falla el alta sigue: se puede reenviar con /email/verify/resend
+    try { await sendVerificationEmail(user); }
+    catch (e) { logger.error("register verify mail error", e); }
+
+    // Alta con prueba gratuita opcional: si no se puede, el usuario queda creado igual
+    if (trial) {
+      try { out.license = await startTrial(user, { deviceId }); }
+      catch (e) {
+        const status = Number(e?.status) || 500;
+        if (status >= 500) logger.error("register trial error", e);
+        out.trialError = status < 500 ? e.message : "No se pudo iniciar la prueba";
+      }
+    }
+    res.status(201).json(out);
   } catch (err) {
-    console.error("register error:", err);
+    logger.error("register error", err);
     res.status(500).json({ error: "Error interno del servidor." });
   }
 });
 
-app.post("/login", async (req, res) => {
+// Hash contra el que se compara si el email no existe: misma demora que una cuenta real
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("usuario-inexistente", 10);
+
+app.post("/login", loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password) return res.status(400).json({ error: "Email y contraseña son requeridos." });
-    const user = await User.findOne({ where: { email } });
-    if (!user) return res.status(400).json({ error: "Usuario o contraseña incorrectos" });
-    const match = await bcrypt.compare(password, user.passwordHash);
-    if (!match) return res.status(400).json({ error: "Usuario o contraseña incorrectos" });
-    res.json({ token: signJWT(user), user: { id: user.id, email: user.email, role: user.role } });
+
+    // Demora progresiva / bloqueo temporal por cuenta e IP (login-guard.js)
+    const blocked = await checkLoginAllowed({ email, ip: req.ip });
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(429).json(blocked);
+    }
+
+    const user = await User.findOne({ where: { email: String(email).trim().toLowerCase() } });
+    const match = await bcrypt.compare(password, user?.passwordHash || DUMMY_PASSWORD_HASH) && !!user;
+    if (!match) {
+      await recordLoginFailure({ email, ip: req.ip, userId: user?.id || null });
+      return res.status(400).json({ error: "Usuario o contraseña incorrectos" });
+    }
+
+    // Con 2FA activo: token intermedio que solo /login/2fa canjea por la sesión
+    if (user.totpEnabledAt) {
+      return res.json({ mfaRequired: true, mfaToken: issueMfaToken(user) });
+    }
+
+    await recordLoginSuccess({ email });
+    const tokens = await createSession(user, req);
+    res.json({ ...tokens, user: { id: user.id, email: user.email, role: user.role } });
+  } catch (err) {
+    logger.error("login error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Segundo paso del login: mfaToken + código TOTP (o código de recuperación)
+app.post("/login/2fa", loginLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body || {};
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "mfaToken y code (o recoveryCode) son requeridos." });
+    }
+    const pending = readMfaToken(mfaToken);
+    const user = pending ? await User.findByPk(pending.id) : null;
+    if (!user || !user.totpEnabledAt) return res.status(401).json({ error: "El login venció, volvé a ingresar" });
+    const changedAt = user.passwordChangedAt;
+    if (changedAt && pending.iat < Math.floor(new Date(changedAt).getTime() / 1000)) {
+      return res.status(401).json({ error: "El login venció, volvé a ingresar" });
+    }
+
+    // Los códigos fallidos cuentan igual que las contraseñas fallidas
+    const blocked = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (blocked) {
+      res.set("Retry-After", String(blocked.retryAfter));
+      return res.status(429).json(blocked);
+    }
+    const method = await verifySecondFactor(user, { code, recoveryCode }, { ip: req.ip });
+    if (!method) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, userId: user.id });
+      return res.status(400).json({ error: "Código inválido" });
+    }
+
+    await recordLoginSuccess({ email: user.email });
+    const tokens = await createSession(user, req, { mfa: true });
+    res.json({ ...tokens, user: { id: user.id, email: user.email, role: user.role } });
+  } catch (err) {
+    logger.error("login 2fa error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Rotar refresh token -> nuevo access + refresh
+app.post("/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken requerido" });
+    const tokens = await refreshSession(refreshToken, req);
+    if (!tokens) return res.status(401).json({ error: "Sesión cerrada o inválida" });
+    res.json(tokens);
+  } catch (err) {
+    logger.error("refresh token error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Pedir reset de contraseña: responde siempre igual para no revelar qué emails existen
+app.post("/password/forgot", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ error: "Email requerido." });
+    const user = await User.findOne({ where: { email: String(email).trim().toLowerCase() } });
+    if (user) {
+      try { await sendPasswordResetEmail(user); }
+      catch (e) { logger.error("forgot mail error", e); }
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error("forgot error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+app.post("/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) return res.status(400).json({ error: "Token y contraseña son requeridos." });
+    const userId = await consumeUserToken(token, "password_reset");
+    const user = userId ? await User.findByPk(userId) : null;
+    if (!user) return res.status(400).json({ error: "El link es inválido o venció" });
+
+    user.passwordHash = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date(); // invalida los access tokens emitidos antes
+    // Quien recibió el mail demostró ser dueño del email
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user.id);
+    await clearLoginFailures({ email: user.email }, { userId: user.id, reason: "password_reset" });
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error("reset error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+app.post("/email/verify", async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ error: "Token requerido." });
+    const userId = await consumeUserToken(token, "email_verify");
+    const user = userId ? await User.findByPk(userId) : null;
+    if (!user) return res.status(400).json({ error: "El link es inválido o venció" });
+
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    res.json({ ok: true, emailVerifiedAt: user.emailVerifiedAt });
   } catch (err) {
-    console.error("login error:", err);
+    logger.error("verify error", err);
     res.status(500).json({ error: "Error interno del servidor." });
   }
 });
@@ -156,42 +396,282 @@ app.post("/login", async (req, res) => {
 ========================= */
 const auth = authMiddleware();
 
+/* =========================
+   Admin (rol "admin")
+========================= */
+app.use("/admin", createAdminRouter());
+
+/* =========================
+   Revendedores (rol "reseller")
+========================= */
+app.use("/reseller", createResellerRouter());
+
+/* =========================
+   Cuenta (protegido)
+========================= */
+// Cerrar la sesión actual
+app.post("/logout", auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.id, req.user.sid);
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error("logout error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Cerrar todas las sesiones ({ keepCurrent: true } deja abierta la actual)
+app.post("/logout/all", auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { exceptId: req.body?.keepCurrent ? req.user.sid : null });
+    res.json({ ok: true, revoked });
+  } catch (err) {
+    logger.error("logout all error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+app.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.json(sessions.map(s => ({ ...s.toJSON(), current: s.id === req.user.sid })));
+  } catch (err) {
+    logger.error("sessions error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+app.post("/email/verify/resend", auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    if (user.emailVerifiedAt) return res.status(409).json({ error: "El email ya está verificado" });
+    await sendVerificationEmail(user);
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error("verify resend error", err);
+    res.status(500).json({ error: "No se pudo enviar el mail" });
+  }
+});
+
+/* =========================
+   2FA (protegido)
+========================= */
+app.get("/2fa", auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    res.json(await twoFactorStatus(user));
+  } catch (err) {
+    logger.error("2fa status error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Paso 1: secreto + otpauth URI (para el QR)
+app.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    res.json(await beginTotpEnrollment(user));
+  } catch (err) {
+    logger.error("2fa setup error", err);
+    const status = Number(err?.status) || 500;
+    res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+  }
+});
+
+// Paso 2: confirmar con un código -> códigos de recuperación (se muestran una sola vez)
+app.post("/2fa/confirm", auth, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code requerido" });
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+
+    const recoveryCodes = await confirmTotpEnrollment(user, code, { ip: req.ip });
+    // Esta sesión acaba de probar el segundo factor; las demás se cierran
+    await markSessionMfa(req.user.sid);
+    await revokeAllSessions(user.id, { exceptId: req.user.sid });
+    res.json({ ok: true, recoveryCodes });
+  } catch (err) {
+    logger.error("2fa confirm error", err);
+    const status = Number(err?.status) || 500;
+    res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+  }
+});
+
+// Nuevos códigos de recuperación { code }
+app.post("/2fa/recovery-codes", auth, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code requerido" });
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    if (!(await verifySecondFactor(user, { code }, { ip: req.ip }))) return res.status(400).json({ error: "Código inválido" });
+    res.json({ ok: true, recoveryCodes: await regenerateRecoveryCodes(user, { ip: req.ip }) });
+  } catch (err) {
+    logger.error("2fa recovery codes error", err);
+    const status = Number(err?.status) || 500;
+    res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+  }
+});
+
+// Desactivar 2FA { password, code | recoveryCode }
+app.post("/2fa/disable", auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "password y code (o recoveryCode) son requeridos." });
+    }
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    if (!user.totpEnabledAt) return res.status(409).json({ error: "La verificación en dos pasos no está activa" });
+    if (await twoFactorRequiredFor(user)) {
+      return res.status(403).json({ error: "La verificación en dos pasos es obligatoria para tu rol" });
+    }
+    if (!(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(400).json({ error: "Contraseña incorrecta" });
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }, { ip: req.ip }))) {
+      return res.status(400).json({ error: "Código inválido" });
+    }
+    await disableTwoFactor(user, { ip: req.ip });
+    res.json({ ok: true });
+  } catch (err) {
+    logger.error("2fa disable error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
 /* =========================
    Licencias (protegido)
 ========================= */
-app.get("/license", auth, async (req, res) => {
+// Atributos de cada licencia en GET /licenses
+const LICENSE_LIST_ATTRS = ["id", "name", "organizationId", "plan", "status", "trial", "expiresAt", "devices", "token", "mpPreapprovalId", "createdAt", "updatedAt"];
+
+/**
+ * Licencia sobre la que opera una ruta: `licenseId` (param, body o query) o, si no viene, la única
+ * sobre la que el usuario tiene el permiso (view | devices | billing | manage, ver organizations.js).
+ * Si no, responde 404 / 403 (rol insuficiente) / 400 (hay varias) y devuelve null.
+ */
+async function findUserLicense(req, res, permission = "view", licenseId = undefined) {
+  const raw = licenseId ?? req.body?.licenseId ?? req.query.licenseId;
+  if (raw !== undefined && raw !== null && raw !== "") {
+    const scope = await licenseScopeFor(req.user.id, "view");
+    const lic = await License.findOne({ where: { [Op.and]: [scope, { id: Number(raw) || 0 }] } });
+    if (!lic) {
+      res.status(404).json({ error: "Licencia no encontrada" });
+      return null;
+    }
+    if (!roleAllows(await licenseRoleFor(req.user.id, lic), permission)) {
+      res.status(403).json({ error: "Tu rol en la organización no permite esta acción" });
+      return null;
+    }
+    return lic;
+  }
+  const rows = await License.findAll({ where: await licenseScopeFor(req.user.id, permission), limit: 2 });
+  if (rows.length === 1) return rows[0];
+  if (rows.length) res.status(400).json({ error: "Tenés varias licencias: indicá licenseId" });
+  else res.status(404).json({ error: "Sin licencia" });
+  return null;
+}
+
+// Todas mis licencias (personales y de mis organizaciones, con mi rol en cada una)
+app.get("/licenses", auth, async (req, res) => {
   try {
-    const license = await License.findOne({
-      where: { userId: req.user.id },
-      order: [["updatedAt", "DESC"]]
+    const licenses = await License.findAll({
+      where: await licenseScopeFor(req.user.id, "view"),
+      attributes: LICENSE_LIST_ATTRS,
+      include: [{ model: Organization, as: "organization", attributes: ["id", "name"] }],
+      order: [["createdAt", "ASC"], ["id", "ASC"]]
     });
+    const roles = new Map((await listUserOrganizations(req.user.id)).map(o => [o.id, o.role]));
+    res.json(licenses.map(lic => ({
+      ...lic.toJSON(),
+      role: lic.organizationId ? roles.get(lic.organizationId) : "owner",
+      graceEndsAt: graceEndsAt(lic)
+    })));
+  } catch (err) {
+    logger.error("licenses list error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Renombrar una licencia { name } (ej. "Sucursal Centro")
+app.patch("/licenses/:id", auth, async (req, res) => {
+  try {
+    const name = String(req.body?.name ?? "").trim();
+    if (name.length > 120) return res.status(400).json({ error: "El nombre es demasiado largo (máx. 120)" });
+    const lic = await findUserLicense(req, res, "manage", req.params.id);
+    if (!lic) return;
+    lic.name = name || null;
+    await lic.save();
+    res.json(lic);
+  } catch (err) {
+    logger.error("license rename error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// ?licenseId= ; sin él, la más reciente (apps que todavía no conocen varias licencias)
+app.get("/license", auth, async (req, res) => {
+  try {
+    const where = [await licenseScopeFor(req.user.id, "view")];
+    if (req.query.licenseId) where.push({ id: Number(req.query.licenseId) || 0 });
+    const license = await License.findOne({ where: { [Op.and]: where }, order: [["updatedAt", "DESC"]] });
     res.json(license ?? null);
   } catch (err) {
-    console.error("license get error:", err);
+    logger.error("license get error", err);
     res.status(500).json({ error: "Error interno del servidor." });
   }
 });
 
+// Límite de cambios / cooldown de cupos (device-policy.js): 429 con cuándo se puede de nuevo
+function sendDevicePolicyError(res, err) {
+  res.set("Retry-After", String(err.retryAfter));
+  return res.status(429).json({ error: err.message, nextSwapAt: err.nextSwapAt, retryAfter: err.retryAfter });
+}
+
+// Desvincula un equipo por pedido del usuario (cuenta para el límite de cambios)
+async function detachDeviceByUser(lic, deviceId, userId, action) {
+  await assertDetachAllowed(lic, await getPlan(lic.plan));
+  lic.devices = (lic.devices || []).filter(d => d !== deviceId);
+  await sequelize.transaction(async (transaction) => {
+    await saveLicense(lic, { actor: "user", actorId: userId, action, transaction });
+    await recordDeviceRelease(lic, [deviceId], { actor: "user", transaction });
+  });
+}
+
 // Vincular dispositivo a la licencia activa
 app.post("/license/devices/attach", auth, async (req, res) => {
   try {
     const { deviceId } = req.body || {};
     if (!deviceId) return res.status(400).json({ error: "deviceId requerido" });
 
-    const lic = await License.findOne({ where: { userId: req.user.id, status: "active" } });
-    if (!lic) return res.status(404).json({ error: "No hay licencia activa" });
+    const lic = await findUserLicense(req, res, "devices");
+    if (!lic) return;
+    if (lic.status !== "active") return res.status(409).json({ error: `Licencia no activa (${lic.status})` });
 
-    const max = limitForPlan(lic.plan);
+    const plan = await getPlan(lic.plan);
+    const max = plan?.maxDevices || 1;
     const set = new Set(lic.devices || []);
     if (set.has(deviceId)) return res.json(lic);
 
     if (set.size >= max) return res.status(403).json({ error: `Límite de dispositivos alcanzado (${max})` });
+    const release = await assertAttachAllowed(lic, plan, deviceId);
+    if (!(await claimTrialDevice(lic, deviceId))) {
+      return res.status(403).json({ error: "Este dispositivo ya usó una prueba gratuita" });
+    }
     set.add(deviceId);
     lic.devices = [...set];
-    await lic.save();
+    await saveLicense(lic, { actor: "user", actorId: req.user.id, action: "devices.attach" });
+    await markDeviceReused(release);
+    await ensureDevice(lic, deviceId, { name: deviceInfoFromBody(req.body).name });
     res.json(lic);
   } catch (err) {
-    console.error("attach error:", err);
+    if (err?.status === 429) return sendDevicePolicyError(res, err);
+    logger.error("attach error", err);
     res.status(500).json({ error: "Error interno" });
   }
 });
@@ -200,36 +680,245 @@ app.post("/license/devices/attach", auth, async (req, res) => {
 app.post("/license/devices/detach", auth, async (req, res) => {
   try {
     const { deviceId } = req.body || {};
-    const lic = await License.findOne({ where: { userId: req.user.id } });
-    if (!lic) return res.status(404).json({ error: "Sin licencia" });
-    lic.devices = (lic.devices || []).filter(d => d !== deviceId);
-    await lic.save();
+    const lic = await findUserLicense(req, res, "devices");
+    if (!lic) return;
+    if ((lic.devices || []).includes(deviceId)) {
+      await detachDeviceByUser(lic, deviceId, req.user.id, "devices.detach");
+    }
     res.json(lic);
   } catch (err) {
-    console.error("detach error:", err);
+    if (err?.status === 429) return sendDevicePolicyError(res, err);
+    logger.error("detach error", err);
     res.status(500).json({ error: "Error interno" });
   }
 });
 
+// Dispositivos vinculados con nombre, plataforma, versión y última conexión
+app.get("/license/devices", auth, async (req, res) => {
+  try {
+    const lic = await findUserLicense(req, res);
+    if (!lic) return;
+    const plan = await getPlan(lic.plan);
+    res.json({
+      maxDevices: plan?.maxDevices || 1,
+      swapPolicy: await swapStatus(lic, plan),
+      devices: await listLicenseDevices(lic)
+    });
+  } catch (err) {
+    logger.error("devices list error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Renombrar un dispositivo { name }
+app.patch("/license/devices/:id", auth, async (req, res) => {
+  try {
+    const name = String(req.body?.name ?? "").trim();
+    if (!name) return res.status(400).json({ error: "name requerido" });
+    if (name.length > 120) return res.status(400).json({ error: "El nombre es demasiado largo (máx. 120)" });
+
+    const device = await findDeviceInLicenses(req.params.id, await licenseScopeFor(req.user.id, "devices"));
+    if (!device) return res.status(404).json({ error: "Dispositivo no encontrado" });
+    device.name = name;
+    await device.save();
+    res.json(deviceJSON(device));
+  } catch (err) {
+    logger.error("device rename error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Revocar un dispositivo (libera el cupo; la app deja de poder refrescar)
+app.post("/license/devices/:id/revoke", auth, async (req, res) => {
+  try {
+    const device = await findDeviceInLicenses(req.params.id, await licenseScopeFor(req.user.id, "devices"));
+    if (!device) return res.status(404).json({ error: "Dispositivo no encontrado" });
+    const lic = device.license;
+    await detachDeviceByUser(lic, device.deviceId, req.user.id, "devices.revoke");
+    res.json({ ok: true, licenseId: lic.id, devices: await listLicenseDevices(lic) });
+  } catch (err) {
+    if (err?.status === 429) return sendDevicePolicyError(res, err);
+    logger.error("device revoke error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Historial de cambios de mis licencias (?licenseId=&page=&pageSize=)
+app.get("/license/events", auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+    const where = [await licenseScopeFor(req.user.id, "view")];
+    if (req.query.licenseId) where.push({ id: Number(req.query.licenseId) || 0 });
+    const { rows, count } = await listLicenseEvents(
+      { [Op.and]: where },
+      { limit: pageSize, offset: (page - 1) * pageSize }
+    );
+    res.json({ items: rows, total: count, page, pageSize });
+  } catch (err) {
+    logger.error("license events error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Activación offline: { request } = contenido del archivo que exportó la app (ver offline-activation.js).
+// Devuelve el archivo de respuesta para llevar a la caja (mismas reglas de cupos que validate; rol owner o device_manager)
+app.post("/license/offline-activation", publicLicenseLimiter, auth, async (req, res) => {
+  try {
+    let request;
+    try { request = parseActivationRequest(req.body?.request); }
+    catch (e) {
+      if (e?.status === 400) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    const { token, deviceId, nonce, key, info } = request;
+
+    const scope = await licenseScopeFor(req.user.id, "view");
+    const lic = await License.findOne({ where: { [Op.and]: [scope, { token }] } });
+    if (!lic) return res.status(404).json({ error: "Licencia no encontrada" });
+    if (!roleAllows(await licenseRoleFor(req.user.id, lic), "devices")) {
+      return res.status(403).json({ error: "Tu rol en la organización no permite esta acción" });
+    }
+    if (lic.status !== "active") return res.status(403).json({ error: `Licencia no activa (${lic.status})` });
+    if (isPastGrace(lic)) return res.status(403).json({ error: "Licencia expirada" });
+
+    const plan = await getPlan(lic.plan);
+    const ttlSec = offlineTtlSecFor(plan, lic);
+    if (!ttlSec) return res.status(403).json({ error: "El plan de la licencia no permite activación offline" });
+
+    // La firma del archivo ya prueba la posesión: la clave tiene que ser la registrada (si hay una).
+    // Se revisa antes de ocupar el cupo para que un 409 no deje el equipo vinculado
+    if (await deviceKeyConflicts(lic, deviceId, key.thumbprint)) {
+      return res.status(409).json({ error: "Este dispositivo ya registró otra clave" });
+    }
+
+    const ctx = { actor: "user", actorId: req.user.id, action: "offline.activate" };
+    if (!(await claimDeviceSlot(lic, plan, deviceId, res, ctx))) return;
+    if (!(await registerDeviceKey(lic, deviceId, key))) {
+      return res.status(409).json({ error: "Este dispositivo ya registró otra clave" });
+    }
+    await recordDeviceSeen(lic, deviceId, { name: info.deviceName, platform: info.platform, appVersion: info.appVersion });
+
+    const file = {
+      typ: "vs-activation-response",
+      ver: 1,
+      nonce,
+      license_jws: signDeviceLicense(lic, plan, deviceId, key.thumbprint, { ttlSec, offline: true }),
+      license: licenseSummary(lic),
+      offline_ttl_sec: ttlSec
+    };
+    const safeId = deviceId.replace(/[^A-Za-z0-9_-]/g, "").slice(0, 40) || "equipo";
+    res.set("Content-Disposition", `attachment; filename="activacion-${lic.id}-${safeId}.json"`);
+    res.json(file);
+  } catch (err) {
+    logger.error("offline activation error", err);
+    res.status(500).json({ error: "Error al activar offline" });
+  }
+});
+
+/* =========================
+   Prueba gratuita (protegido)
+========================= */
+// body: { deviceId? } — una prueba por email y por dispositivo
+app.post("/trial", auth, async (req, res) => {
+  try {
+    if (!trialsEnabled()) return res.status(403).json({ error: "Las pruebas gratuitas no están habilitadas" });
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    const lic = await startTrial(user, { deviceId: req.body?.deviceId });
+    res.status(201).json(lic);
+  } catch (err) {
+    const status = Number(err?.status) || 500;
+    if (status >= 500) logger.error("trial error", err);
+    res.status(status).json({ error: status < 500 ? err.message : "No se pudo iniciar la prueba" });
+  }
+});
+
 /* =========================
    Suscripciones (crear)
 ========================= */
+// Canjear una clave prepaga { code, licenseId?, name? }: sin licenseId crea una licencia nueva (201);
+// con licenseId extiende esa licencia prepaga del mismo plan (rol owner o billing)
+app.post("/license/redeem", redeemLimiter, auth, async (req, res) => {
+  try {
+    const { code, licenseId, name } = req.body || {};
+    if (!code) return res.status(400).json({ error: "code requerido" });
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    if (REQUIRE_VERIFIED_EMAIL && !user.emailVerifiedAt) {
+      return res.status(403).json({ error: "Verificá tu email antes de canjear una clave" });
+    }
+
+    let lic = null;
+    if (licenseId) {
+      lic = await findUserLicense(req, res, "billing");
+      if (!lic) return;
+    }
+
+    let result;
+    try { result = await redeemPrepaidKey(code, user, { license: lic, name }); }
+    catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+    const { license, created } = result;
+    res.status(created ? 201 : 200).json({
+      licenseId: license.id,
+      plan: license.plan,
+      status: license.status,
+      expiresAt: license.expiresAt,
+      token: license.token
+    });
+  } catch (err) {
+    logger.error("license redeem error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// body: { plan, couponCode?, mpEmail?, licenseId?, newLicense?, organizationId?, name? } — sin licenseId se usa
+// la única licencia que el usuario puede pagar; newLicense: true crea otra (una por sucursal), de la
+// organización si viene organizationId (rol owner o billing)
 app.post("/subscribe", auth, async (req, res) => {
   try {
-    const { plan, mpEmail } = req.body || {};
-    if (!["single","multi"].includes(plan)) return res.status(400).json({ error: "Plan inválido" });
+    const { plan, mpEmail, couponCode, licenseId, newLicense, organizationId, name } = req.body || {};
+    const planRow = await getPlan(plan, { activeOnly: true });
+    if (!planRow) return res.status(400).json({ error: "Plan inválido" });
 
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
+    if (REQUIRE_VERIFIED_EMAIL && !user.emailVerifiedAt) {
+      return res.status(403).json({ error: "Verificá tu email antes de suscribirte" });
+    }
 
-    const currency = (process.env.MP_CURRENCY || "ARS").toUpperCase();
-    const single = Number(process.env.PRICE_SINGLE || 2999);
-    const multi  = Number(process.env.PRICE_MULTI  || 4499);
-    const amount = plan === "multi" ? multi : single;
+    let lic = null;
+    let orgId = null;
+    if (licenseId) {
+      lic = await findUserLicense(req, res, "billing");
+      if (!lic) return;
+    } else if (newLicense && organizationId) {
+      try { orgId = (await requireOrgRole(organizationId, user.id, "billing")).organizationId; }
+      catch (e) { return res.status(Number(e.status) || 400).json({ error: e.message }); }
+    } else if (!newLicense) {
+      const rows = await License.findAll({ where: await licenseScopeFor(user.id, "billing"), limit: 2 });
+      if (rows.length > 1) return res.status(400).json({ error: "Tenés varias licencias: indicá licenseId o newLicense: true" });
+      lic = rows[0] || null;
+    }
+    if (lic && lic.status === "active" && !lic.trial && lic.mpPreapprovalId) {
+      return res.status(409).json({ error: "La licencia ya tiene una suscripción activa; usá /subscription/change-plan o /subscription/change-method" });
+    }
+    const fullAmount = Number(planRow.price);
+    let coupon = null;
+    let amount = await priceForLicense(planRow, lic); // respeta un descuento vigente de un canje anterior
+    if (couponCode) {
+      try { coupon = await findRedeemableCoupon(couponCode, user.id); }
+      catch (e) { return res.status(Number(e.status) || 400).json({ error: e.message }); }
+      amount = applyDiscount(coupon, fullAmount);
+      if (amount <= 0) return res.status(400).json({ error: "El cupón no se puede aplicar a este plan" });
+    }
 
     const backUrl = computeMpBackUrl();
-    console.log("[/subscribe] mpBackUrl(candidates):", backUrl);
-    console.log("[/subscribe] DEBUG vars:", {
+    logger.debug("subscribe back_url", {
       FRONTEND_URL,
       PUBLIC_RETURN_URL_BASE,
       WEBHOOK_PUBLIC_URL,
@@ -237,34 +926,63 @@ app.post("/subscribe", auth, async (req, res) => {
       computed_mpBackUrl: backUrl
     });
 
-    const { init_point, mpPreapprovalId } = await createSubscriptionDirect({
+    const expiresAt = new Date(); expiresAt.setDate(expiresAt.getDate() + 1); // pendiente por 1 día
+
+    // Licencia nueva: se crea primero para que su id viaje en el external_reference
+    const created = lic ? null : await createLicense({
       userId: user.id,
-      plan,
-      payerEmail: mpEmail || user.email,
-      backUrl,
-      currency,
-      amount
-    });
+      organizationId: orgId,
+      name: name ? String(name).trim().slice(0, 120) || null : null,
+      plan: planRow.code,
+      status: "inactive",
+      expiresAt
+    }, { actor: "user", actorId: user.id, action: "subscribe" });
+    const target = lic || created;
+
+    // La preaprobación se crea fuera de la transacción (I/O de red); licencia y canje del cupón
+    // se guardan juntos después. Si eso falla se cancela la preaprobación y se borra la licencia nueva.
+    let pre = null;
+    try {
+      pre = await createSubscriptionDirect({
+        ...mpPlanParams(planRow),
+        amount,
+        userId: target.userId, // el external_reference lleva el usuario de la licencia (puede pagarla otro miembro)
+        licenseId: target.id,
+        payerEmail: mpEmail || user.email,
+        backUrl
+      });
+      const { mpPreapprovalId } = pre;
+
+      await sequelize.transaction(async (transaction) => {
+        const ctx = { actor: "user", actorId: user.id, action: "subscribe", mpPayloadId: mpPreapprovalId, transaction };
+        if (lic?.status === "active" && (lic.trial || new Date(lic.expiresAt) > new Date())) {
+          // En prueba o con días ya pagos (clave prepaga, extensión de un admin): sigue usándola
+          // hasta que MP autorice (el webhook cambia plan y apaga trial; nunca acorta expiresAt)
+          lic.mpPreapprovalId = mpPreapprovalId;
+        } else if (lic) {
+          Object.assign(lic, { plan: planRow.code, status: "inactive", mpPreapprovalId, expiresAt });
+        } else {
+          target.mpPreapprovalId = mpPreapprovalId;
+        }
+        await saveLicense(target, ctx);
 
-    const expiresAt = new Date(); expiresAt.setDate(expiresAt.getDate() + 1); // pendiente por 1 día
-    const lic = await License.findOne({ where: { userId: user.id } });
-    if (lic) {
-      Object.assign(lic, { plan, status: "inactive", mpPreapprovalId, expiresAt });
-      await lic.save();
-    } else {
-      await License.create({
-        userId: user.id,
-        plan,
-        status: "inactive",
-        mpPreapprovalId,
-        expiresAt
+        if (coupon) await redeemCoupon(coupon, { userId: user.id, licenseId: target.id, mpPreapprovalId, fullAmount, amount, transaction });
       });
+    } catch (err) {
+      if (pre) {
+        try { await cancelPreapproval(pre.mpPreapprovalId); }
+        catch (e) { logger.warn("No se pudo cancelar preaprobación de suscripción fallida", { preapprovalId: pre.mpPreapprovalId, err: e }); }
+      }
+      if (created) {
+        try { await created.destroy(); }
+        catch (e) { logger.warn("No se pudo borrar licencia de suscripción fallida", { licenseId: created.id, err: e }); }
+      }
+      throw err;
     }
 
-    res.json({ init_point });
+    res.json({ init_point: pre.init_point, licenseId: target.id, amount, fullAmount });
   } catch (err) {
-    console.error("Error /subscribe:", err?.status || "", err?.message || err);
-    if (err?.cause) console.error("MP cause:", JSON.stringify(err.cause, null, 2));
+    logger.error("subscribe error", err); // incluye err.cause (detalle de MP) redactado
     const status = Number(err?.status) || 500;
     res.status(status >= 400 && status < 600 ? status : 500).json({
       error: "No se pudo crear la suscripción",
@@ -286,31 +1004,36 @@ app.get("/return", async (req, res) => {
     }
 
     const pre = await getPreapprovalById(String(preapprovalId));
-    const userId = pre?.external_reference ? Number(pre.external_reference) : null;
+    const { userId, plan } = parseExternalReference(pre?.external_reference);
+    const planRow = plan ? await getPlan(plan) : null;
 
     if (["authorized","active"].includes(pre.status) && userId) {
-      let lic = await License.findOne({ where: { userId } });
+      const ctx = { actor: "user", actorId: userId, action: "return", mpPayloadId: pre.id };
+      let lic = await findLicenseForPreapproval(pre.id, pre.external_reference);
+      if (lic && lic.userId !== userId) lic = null;
       if (!lic) {
-        const exp = new Date(); exp.setMonth(exp.getMonth() + 1);
-        lic = await License.create({
-          userId,
-          plan: "single",
-          status: "active",
-          expiresAt: exp,
-          mpPreapprovalId: pre.id,
-          token: generateLicenseToken()
-        });
+        // Sin licencia ubicable: solo se crea si el usuario no tiene ninguna (si no, la actualiza el webhook)
+        if (!(await License.count({ where: { userId } }))) {
+          await createLicense(ensurePendingWindow({
+            userId,
+            plan: planRow?.code || "single",
+            status: "active",
+            mpPreapprovalId: pre.id,
+            token: generateLicenseToken()
+          }), ctx);
+        }
       } else {
         // migrar a nueva preaprobación si corresponde
         if (lic.mpPreapprovalId && lic.mpPreapprovalId !== pre.id) {
-          try { await cancelPreapproval(lic.mpPreapprovalId); } catch (e) { console.warn("No se pudo cancelar preaprobación vieja:", e?.message); }
+          try { await cancelPreapproval(lic.mpPreapprovalId); } catch (e) { logger.warn("No se pudo cancelar preaprobación vieja", e); }
         }
-        const exp = new Date(); exp.setMonth(exp.getMonth() + 1);
         lic.mpPreapprovalId = pre.id;
         lic.status = "active";
-        lic.expiresAt = exp;
+        lic.trial = false;
+        if (planRow) lic.plan = planRow.code;
+        ensurePendingWindow(lic); // el vencimiento real lo extiende el pago aprobado
         if (!lic.token) lic.token = generateLicenseToken();
-        await lic.save();
+        await saveLicense(lic, ctx);
       }
       const target = new URL(`/return?preapproval_id=${pre.id}&status=ok`, ensureAbsoluteUrl(FRONTEND_URL)).toString();
       res.status(302).setHeader("Location", target).send(htmlRedirect(target));
@@ -321,52 +1044,46 @@ app.get("/return", async (req, res) => {
     const target = new URL(`/return?preapproval_id=${pre.id}&status=${pre.status || "unknown"}`, ensureAbsoluteUrl(FRONTEND_URL)).toString();
     res.status(302).setHeader("Location", target).send(htmlRedirect(target));
   } catch (err) {
-    console.error("return error:", err);
+    logger.error("return error", err);
     const target = new URL(`/return?status=error`, ensureAbsoluteUrl(FRONTEND_URL)).toString();
     res.status(302).setHeader("Location", target).send(htmlRedirect(target));
   }
 });
 
 /* =========================
-   Webhook (preapproval)
+   Webhook (inbox + worker)
 ========================= */
-app.post("/webhook", async (req, res) => {
-  try {
-    const type  = req.body.type || req.query.type || req.body.topic || req.query.topic;
-    const dataId = req.body?.data?.id || req.query["data.id"] || req.body.id || req.query.id;
-    res.status(200).send("OK");
-    if (!type || !dataId) return;
-
-    if (String(type).includes("preapproval")) {
-      const pre = await getPreapprovalById(String(dataId));
-      const userId = pre?.external_reference ? Number(pre.external_reference) : null;
+// Valida x-signature / x-request-id antes de tocar nada
+function verifyMpWebhook(req, res, next) {
+  const signature = req.get("x-signature");
+  if (!signature && MP_WEBHOOK_ALLOW_UNSIGNED) return next();
+
+  const dataId = req.query["data.id"] || req.body?.data?.id || req.query.id;
+  const result = verifyWebhookSignature({
+    secret: MP_WEBHOOK_SECRET,
+    signature,
+    requestId: req.get("x-request-id"),
+    dataId: dataId ? String(dataId) : ""
+  });
+  if (!result.ok) {
+    logger.warn("webhook rechazado", { reason: result.reason, ip: req.ip, mpRequestId: req.get("x-request-id") || null, dataId: dataId || null });
+    return res.status(401).json({ error: "Firma inválida" });
+  }
+  next();
+}
 
-      let lic = null;
-      if (userId) lic = await License.findOne({ where: { userId } });
-      if (!lic) {
-        // fallback por id directo
-        lic = await License.findOne({ where: { mpPreapprovalId: pre.id } });
-      }
-      if (!lic) return;
+// Persistimos primero: si falla la DB respondemos 500 para que MP reintente
+app.post("/webhook", verifyMpWebhook, async (req, res) => {
+  try {
+    const notification = parseNotification(req);
+    if (!notification) return res.status(200).send("OK");
 
-      if (["authorized", "active"].includes(pre.status)) {
-        if (lic.mpPreapprovalId && lic.mpPreapprovalId !== pre.id) {
-          try { await cancelPreapproval(lic.mpPreapprovalId); } catch (e) { console.warn("No se pudo cancelar preaprobación vieja:", e?.message); }
-        }
-        const exp = new Date(); exp.setMonth(exp.getMonth() + 1);
-        lic.mpPreapprovalId = pre.id;
-        lic.status = "active";
-        lic.expiresAt = exp;
-        if (!lic.token) lic.token = generateLicenseToken();
-        await lic.save();
-      } else if (pre.status === "paused") {
-        lic.status = "paused"; await lic.save();
-      } else if (pre.status === "cancelled") {
-        lic.status = "cancelled"; await lic.save();
-      }
-    }
+    const { duplicate } = await enqueueWebhook(notification);
+    res.status(200).send("OK");
+    if (!duplicate) runWebhookWorkerOnce().catch(err => logger.error("webhook worker error", err));
   } catch (err) {
-    console.error("Webhook error:", err);
+    logger.error("webhook error", err);
+    res.status(500).send("ERROR");
   }
 });
 
@@ -376,13 +1093,15 @@ app.post("/webhook", async (req, res) => {
 // Cancelar
 app.post("/subscription/cancel", auth, async (req, res) => {
   try {
-    const lic = await License.findOne({ where: { userId: req.user.id } });
-    if (!lic?.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para cancelar" });
+    const lic = await findUserLicense(req, res, "billing");
+    if (!lic) return;
+    if (!lic.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para cancelar" });
     const mp = await cancelPreapproval(lic.mpPreapprovalId);
-    lic.status = "cancelled"; await lic.save();
+    lic.status = "cancelled";
+    await saveLicense(lic, { actor: "user", actorId: req.user.id, action: "subscription.cancel", mpPayloadId: lic.mpPreapprovalId });
     res.json({ ok: true, mp });
   } catch (err) {
-    console.error("cancel error:", err);
+    logger.error("cancel error", err);
     res.status(Number(err?.status) || 500).json({ error: "No se pudo cancelar la suscripción" });
   }
 });
@@ -390,13 +1109,15 @@ app.post("/subscription/cancel", auth, async (req, res) => {
 // Pausar
 app.post("/subscription/pause", auth, async (req, res) => {
   try {
-    const lic = await License.findOne({ where: { userId: req.user.id } });
-    if (!lic?.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para pausar" });
+    const lic = await findUserLicense(req, res, "billing");
+    if (!lic) return;
+    if (!lic.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para pausar" });
     const mp = await pausePreapproval(lic.mpPreapprovalId);
-    lic.status = "paused"; await lic.save();
+    lic.status = "paused";
+    await saveLicense(lic, { actor: "user", actorId: req.user.id, action: "subscription.pause", mpPayloadId: lic.mpPreapprovalId });
     res.json({ ok: true, mp });
   } catch (err) {
-    console.error("pause error:", err);
+    logger.error("pause error", err);
     res.status(Number(err?.status) || 500).json({ error: "No se pudo pausar la suscripción" });
   }
 });
@@ -404,13 +1125,15 @@ app.post("/subscription/pause", auth, async (req, res) => {
 // Reanudar
 app.post("/subscription/resume", auth, async (req, res) => {
   try {
-    const lic = await License.findOne({ where: { userId: req.user.id } });
-    if (!lic?.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para reanudar" });
+    const lic = await findUserLicense(req, res, "billing");
+    if (!lic) return;
+    if (!lic.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para reanudar" });
     const mp = await resumePreapproval(lic.mpPreapprovalId);
-    lic.status = "active"; await lic.save();
+    lic.status = "active";
+    await saveLicense(lic, { actor: "user", actorId: req.user.id, action: "subscription.resume", mpPayloadId: lic.mpPreapprovalId });
     res.json({ ok: true, mp });
   } catch (err) {
-    console.error("resume error:", err);
+    logger.error("resume error", err);
     res.status(Number(err?.status) || 500).json({ error: "No se pudo reanudar la suscripción" });
   }
 });
@@ -422,33 +1145,259 @@ app.post("/subscription/change-method", auth, async (req, res) => {
     const user = await User.findByPk(req.user.id);
     if (!user) return res.status(404).json({ error: "Usuario no encontrado" });
 
-    const lic = await License.findOne({ where: { userId: user.id } });
-    const currentPlan = plan || lic?.plan || "single";
-
-    const currency = (process.env.MP_CURRENCY || "ARS").toUpperCase();
-    const single = Number(process.env.PRICE_SINGLE || 2999);
-    const multi  = Number(process.env.PRICE_MULTI  || 4499);
-    const amount = currentPlan === "multi" ? multi : single;
+    const lic = await findUserLicense(req, res, "billing");
+    if (!lic) return;
+    // plan explícito: tiene que estar a la venta; el actual de la licencia se respeta aunque ya no se venda
+    const planRow = plan ? await getPlan(plan, { activeOnly: true }) : await getPlan(lic.plan);
+    if (!planRow) return res.status(400).json({ error: "Plan inválido" });
 
     const backUrl = computeMpBackUrl();
 
     const { init_point, mpPreapprovalId } = await createSubscriptionDirect({
-      userId: user.id,
-      plan: currentPlan,
+      ...mpPlanParams(planRow),
+      amount: await priceForLicense(planRow, lic), // mantiene el descuento vigente
+      userId: lic.userId,
+      licenseId: lic.id,
       payerEmail: mpEmail || user.email,
-      backUrl,
-      currency,
-      amount
+      backUrl
     });
 
     // No tocamos la suscripción anterior aún; el webhook hará el swap cuando la nueva esté authorized
     res.json({ init_point, mpPreapprovalId });
   } catch (err) {
-    console.error("change-method error:", err?.status || "", err?.message || err);
+    logger.error("change-method error", err);
     res.status(Number(err?.status) || 500).json({ error: "No se pudo iniciar el cambio de medio de pago" });
   }
 });
 
+// Cambiar de plan sobre la misma preaprobación (actualiza el monto en MP)
+// body: { plan, detachDevices?: string[] } — en un downgrade con más dispositivos que el nuevo límite
+// hay que indicar cuáles desvincular; si no, responde 409 con la lista para elegir.
+app.post("/subscription/change-plan", auth, async (req, res) => {
+  try {
+    const { plan, detachDevices } = req.body || {};
+    const target = await getPlan(plan, { activeOnly: true });
+    if (!target) return res.status(400).json({ error: "Plan inválido" });
+    if (detachDevices !== undefined && !Array.isArray(detachDevices)) {
+      return res.status(400).json({ error: "detachDevices debe ser una lista" });
+    }
+
+    const lic = await findUserLicense(req, res, "billing");
+    if (!lic) return;
+    if (!lic.mpPreapprovalId) return res.status(404).json({ error: "No hay suscripción para cambiar" });
+    if (lic.trial) return res.status(409).json({ error: "La licencia está en prueba; suscribite con /subscribe" });
+    if (lic.status !== "active") return res.status(409).json({ error: `La suscripción no está activa (${lic.status})` });
+    if (lic.plan === target.code) return res.status(400).json({ error: "La licencia ya tiene ese plan" });
+
+    const current = await getPlan(lic.plan);
+    if (current && (current.frequency !== target.frequency || current.frequencyType !== target.frequencyType)) {
+      return res.status(409).json({ error: "El plan tiene otra frecuencia de cobro; usá /subscription/change-method" });
+    }
+
+    // Downgrade: que entren los dispositivos en el nuevo límite
+    const drop = new Set(detachDevices || []);
+    const devices = (lic.devices || []).filter(d => !drop.has(d));
+    if (devices.length > target.maxDevices) {
+      return res.status(409).json({
+        error: `El plan ${target.code} permite ${target.maxDevices} dispositivo(s); elegí cuáles desvincular`,
+        maxDevices: target.maxDevices,
+        devices: lic.devices,
+        mustDetach: devices.length - target.maxDevices
+      });
+    }
+
+    const mp = await updatePreapprovalAmount(lic.mpPreapprovalId, {
+      amount: await priceForLicense(target, lic), // mantiene el descuento vigente
+      currency: target.currency,
+      reason: target.name,
+      plan: target.code,
+      userId: lic.userId,
+      licenseId: lic.id
+    });
+
+    const released = (lic.devices || []).filter(d => !devices.includes(d));
+    lic.plan = target.code;
+    lic.devices = devices;
+    await sequelize.transaction(async (transaction) => {
+      await saveLicense(lic, {
+        actor: "user",
+        actorId: req.user.id,
+        action: "subscription.change_plan",
+        mpPayloadId: lic.mpPreapprovalId,
+        transaction
+      });
+      // Desvincular por un downgrade no cuenta como cambio de dispositivo
+      await recordDeviceRelease(lic, released, { actor: "system", transaction });
+    });
+    res.json({ ok: true, license: lic, mp });
+  } catch (err) {
+    logger.error("change-plan error", err);
+    res.status(Number(err?.status) || 500).json({ error: "No se pudo cambiar el plan" });
+  }
+});
+
+/* =========================
+   Facturación (protegido)
+========================= */
+// Historial de cobros (?licenseId=&page=&pageSize=)
+app.get("/billing/payments", auth, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 20));
+    const licenses = await License.findAll({ where: await licenseScopeFor(req.user.id, "billing"), attributes: ["id"] });
+    const { rows, count } = await listUserPayments(req.user.id, {
+      licenseIds: licenses.map(l => l.id),
+      licenseId: Number(req.query.licenseId) || null,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    res.json({ items: rows, total: count, page, pageSize });
+  } catch (err) {
+    logger.error("billing payments error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Comprobante de un cobro
+app.get("/billing/payments/:id", auth, async (req, res) => {
+  try {
+    const licenses = await License.findAll({ where: await licenseScopeFor(req.user.id, "billing"), attributes: ["id"] });
+    const payment = await Payment.findOne({
+      where: { [Op.and]: [{ id: Number(req.params.id) || 0 }, userPaymentsWhere(req.user.id, licenses.map(l => l.id))] },
+      attributes: PAYMENT_ATTRS,
+      include: [{ model: License, as: "license", attributes: ["id", "plan"] }]
+    });
+    if (!payment) return res.status(404).json({ error: "Pago no encontrado" });
+    res.json(payment);
+  } catch (err) {
+    logger.error("billing payment get error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+/* =========================
+   Organizaciones (protegido)
+========================= */
+// Errores de organizations.js: 4xx con su mensaje, el resto 500
+function sendOrgError(res, err, label) {
+  const status = Number(err?.status) || 500;
+  if (status >= 500) logger.error(`${label} error`, err);
+  res.status(status).json({ error: status < 500 ? err.message : "Error interno del servidor." });
+}
+
+// Mis organizaciones con mi rol
+app.get("/organizations", auth, async (req, res) => {
+  try {
+    res.json(await listUserOrganizations(req.user.id));
+  } catch (err) {
+    sendOrgError(res, err, "organizations list");
+  }
+});
+
+// Crear una organización { name } (quedo como owner)
+app.post("/organizations", auth, async (req, res) => {
+  try {
+    const name = String(req.body?.name ?? "").trim();
+    if (!name) return res.status(400).json({ error: "name requerido" });
+    if (name.length > 120) return res.status(400).json({ error: "El nombre es demasiado largo (máx. 120)" });
+    const org = await createOrganization(req.user, name);
+    res.status(201).json({ ...org.toJSON(), role: "owner" });
+  } catch (err) {
+    sendOrgError(res, err, "organization create");
+  }
+});
+
+// Aceptar una invitación { token } con la cuenta logueada (mismo email que la invitación)
+app.post("/organizations/invites/accept", auth, async (req, res) => {
+  try {
+    const membership = await acceptInvite(req.body?.token, req.user);
+    res.json({ organizationId: membership.organizationId, role: membership.role });
+  } catch (err) {
+    sendOrgError(res, err, "invite accept");
+  }
+});
+
+app.get("/organizations/:id/members", auth, async (req, res) => {
+  try {
+    const m = await requireOrgRole(req.params.id, req.user.id, "view");
+    res.json(await listMembers(m.organizationId));
+  } catch (err) {
+    sendOrgError(res, err, "members list");
+  }
+});
+
+// Cambiar el rol de un miembro { role } (solo owner)
+app.patch("/organizations/:id/members/:userId", auth, async (req, res) => {
+  try {
+    const m = await requireOrgRole(req.params.id, req.user.id, "manage");
+    const member = await setMemberRole(m.organizationId, Number(req.params.userId) || 0, req.body?.role);
+    res.json({ userId: member.userId, role: member.role });
+  } catch (err) {
+    sendOrgError(res, err, "member role");
+  }
+});
+
+// Sacar a un miembro (owner) o irme yo
+app.delete("/organizations/:id/members/:userId", auth, async (req, res) => {
+  try {
+    const userId = Number(req.params.userId) || 0;
+    const m = await requireOrgRole(req.params.id, req.user.id, userId === req.user.id ? "view" : "manage");
+    await removeMember(m.organizationId, userId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendOrgError(res, err, "member remove");
+  }
+});
+
+app.get("/organizations/:id/invites", auth, async (req, res) => {
+  try {
+    const m = await requireOrgRole(req.params.id, req.user.id, "manage");
+    res.json(await listPendingInvites(m.organizationId));
+  } catch (err) {
+    sendOrgError(res, err, "invites list");
+  }
+});
+
+// Invitar por email { email, role } (role: owner | billing | device_manager)
+app.post("/organizations/:id/invites", auth, async (req, res) => {
+  try {
+    const { email, role } = req.body || {};
+    if (!ORG_ROLES.includes(role)) return res.status(400).json({ error: `role debe ser ${ORG_ROLES.join(", ")}` });
+    const m = await requireOrgRole(req.params.id, req.user.id, "manage");
+    const org = await Organization.findByPk(m.organizationId);
+    const invite = await inviteMember(org, { email, role }, req.user);
+    res.status(201).json(Object.fromEntries(INVITE_ATTRS.map(a => [a, invite.get(a) ?? null])));
+  } catch (err) {
+    sendOrgError(res, err, "invite create");
+  }
+});
+
+app.delete("/organizations/:id/invites/:inviteId", auth, async (req, res) => {
+  try {
+    const m = await requireOrgRole(req.params.id, req.user.id, "manage");
+    await revokeInvite(m.organizationId, req.params.inviteId);
+    res.json({ ok: true });
+  } catch (err) {
+    sendOrgError(res, err, "invite revoke");
+  }
+});
+
+// Pasar una licencia personal mía a la organización { licenseId } (owner de la organización)
+app.post("/organizations/:id/licenses", auth, async (req, res) => {
+  try {
+    const m = await requireOrgRole(req.params.id, req.user.id, "manage");
+    const lic = await License.findOne({
+      where: { id: Number(req.body?.licenseId) || 0, userId: req.user.id, organizationId: null }
+    });
+    if (!lic) return res.status(404).json({ error: "Licencia personal no encontrada" });
+    lic.organizationId = m.organizationId;
+    await saveLicense(lic, { actor: "user", actorId: req.user.id, action: "organization.add_license" });
+    res.json(lic);
+  } catch (err) {
+    sendOrgError(res, err, "organization add license");
+  }
+});
+
 /* =========================
    Licenciamiento offline (JWS) - público
 ========================= */
@@ -463,8 +1412,131 @@ app.get("/.well-known/venta-simple-license-pubkey", (_, res) => {
   }
 });
 
+// JWKS: claves de firma publicadas (pending/active/retiring); el header kid del JWS elige la clave
+app.get("/.well-known/jwks.json", (_, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(getJwks());
+  } catch (err) {
+    logger.error("jwks error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Lista de revocación firmada (misma clave RSA): { seq, jws }. ETag = seq para pedirla barato.
+app.get("/.well-known/venta-simple-license-revocations", async (_, res) => {
+  try {
+    const { seq, jws } = await getSignedRevocationList();
+    res.set("ETag", `"${seq}"`);
+    res.set("Cache-Control", "public, max-age=60");
+    res.json({ seq, jws });
+  } catch (err) {
+    logger.error("revocations error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
+// Check-in del dispositivo (nombre/plataforma/versión opcionales en el body); si falla no corta la validación
+async function touchDevice(lic, deviceId, req) {
+  try { await recordDeviceSeen(lic, deviceId, { ip: req.ip, ...deviceInfoFromBody(req.body) }); }
+  catch (e) { logger.error("device seen error", e); }
+}
+
+// Clave del equipo (device-keys.js): null si ya se respondió con el error (400 / 401 challengeRequired)
+async function resolveDeviceKey(lic, deviceId, req, res) {
+  try {
+    return await checkDeviceKey(lic, deviceId, req.body);
+  } catch (e) {
+    if (e?.status === 400 || e?.status === 401) {
+      res.status(e.status).json({ error: e.message, ...(e.challengeRequired ? { challengeRequired: true } : {}) });
+      return null;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Vincula el equipo si todavía no ocupa un cupo: límite del plan, política de cambios y prueba gratuita
+ * (mismas reglas en validate y en la activación offline). false si ya se respondió con el error (403 / 429).
+ */
+async function claimDeviceSlot(lic, plan, deviceId, res, ctx) {
+  const max = plan?.maxDevices || 1;
+  const set = new Set(lic.devices || []);
+  if (set.has(deviceId)) return true;
+  if (set.size >= max) {
+    res.status(403).json({ error: `Límite de dispositivos alcanzado (${max})` });
+    return false;
+  }
+  let release;
+  try { release = await assertAttachAllowed(lic, plan, deviceId); }
+  catch (e) {
+    if (e?.status === 429) { sendDevicePolicyError(res, e); return false; }
+    throw e;
+  }
+  if (!(await claimTrialDevice(lic, deviceId))) {
+    res.status(403).json({ error: "Este dispositivo ya usó una prueba gratuita" });
+    return false;
+  }
+  set.add(deviceId);
+  lic.devices = [...set];
+  await saveLicense(lic, ctx);
+  await markDeviceReused(release);
+  return true;
+}
+
+// JWS de la licencia para un equipo (entitlements resueltos); ttlSec/offline para la activación offline
+function signDeviceLicense(lic, plan, deviceId, deviceKeyThumbprint, { ttlSec, offline = false } = {}) {
+  const { features, limits } = splitEntitlements(resolveEntitlements(plan, lic));
+  return signLicenseJWS({
+    userId: lic.userId,
+    licenseId: lic.id,
+    token: lic.token,
+    plan: lic.plan,
+    status: lic.status,
+    trial: lic.trial,
+    expiresAt: lic.expiresAt,
+    deviceId,
+    deviceKeyThumbprint,
+    maxDevices: plan?.maxDevices || 1,
+    features,
+    limits,
+    offline
+  }, ttlSec);
+}
+
+function licenseSummary(lic) {
+  return {
+    id: lic.id,
+    plan: lic.plan,
+    status: lic.status,
+    trial: lic.trial,
+    expiresAt: lic.expiresAt,
+    graceEndsAt: graceEndsAt(lic),
+    devices: lic.devices
+  };
+}
+
+// Nonce para que un equipo con clave registrada firme su próximo validate / refresh
+app.post("/public/license/challenge", publicLicenseLimiter, async (req, res) => {
+  try {
+    const { token, deviceId } = req.body || {};
+    if (!token || !deviceId) return res.status(400).json({ error: "token y deviceId requeridos" });
+
+    const lic = await License.findOne({ where: { token } });
+    if (!lic) return res.status(404).json({ error: "Licencia no encontrada" });
+    if (!Array.isArray(lic.devices) || !lic.devices.includes(deviceId)) {
+      return res.status(403).json({ error: "Este dispositivo no está vinculado a la licencia" });
+    }
+
+    res.json(await issueDeviceChallenge(lic, deviceId));
+  } catch (err) {
+    logger.error("challenge error", err);
+    res.status(500).json({ error: "Error interno del servidor." });
+  }
+});
+
 // Validar token + deviceId, vincular si hay cupo y emitir JWS
-app.post("/public/license/validate", async (req, res) => {
+app.post("/public/license/validate", publicLicenseLimiter, async (req, res) => {
   try {
     const { token, deviceId } = req.body || {};
     if (!token || !deviceId) return res.status(400).json({ error: "token y deviceId requeridos" });
@@ -473,55 +1545,37 @@ app.post("/public/license/validate", async (req, res) => {
     if (!lic) return res.status(404).json({ error: "Licencia no encontrada" });
 
     if (lic.status !== "active") return res.status(403).json({ error: `Licencia no activa (${lic.status})` });
-    if (lic.expiresAt && new Date(lic.expiresAt).getTime() < Date.now()) {
+    if (isPastGrace(lic)) {
       return res.status(403).json({ error: "Licencia expirada" });
     }
 
-    const max = limitForPlan(lic.plan);
-    const set = new Set(lic.devices || []);
-    if (!set.has(deviceId)) {
-      if (set.size >= max) return res.status(403).json({ error: `Límite de dispositivos alcanzado (${max})` });
-      set.add(deviceId);
-      lic.devices = [...set];
-      await lic.save();
-    }
-
-    const features = {
-      sync: true,
-      whatsapp_bot: Boolean(lic.features?.whatsapp_bot || false),
-      ai_cameras: Boolean(lic.features?.ai_cameras || false),
-    };
+    const deviceKey = await resolveDeviceKey(lic, deviceId, req, res);
+    if (!deviceKey) return;
 
-    const jws = signLicenseJWS({
-      userId: lic.userId,
-      licenseId: lic.id,
-      token: lic.token,
-      plan: lic.plan,
-      status: lic.status,
-      deviceId,
-      maxDevices: max,
-      features
-    });
+    // Clave en conflicto: 409 antes de ocupar el cupo
+    if (deviceKey.register && await deviceKeyConflicts(lic, deviceId, deviceKey.register.thumbprint)) {
+      return res.status(409).json({ error: "Este dispositivo ya registró otra clave" });
+    }
+    const plan = await getPlan(lic.plan);
+    if (!(await claimDeviceSlot(lic, plan, deviceId, res, { actor: "system", action: "public.validate" }))) return;
+    if (deviceKey.register && !(await registerDeviceKey(lic, deviceId, deviceKey.register))) {
+      return res.status(409).json({ error: "Este dispositivo ya registró otra clave" });
+    }
+    await touchDevice(lic, deviceId, req);
 
     res.json({
-      license_jws: jws,
-      license: {
-        id: lic.id,
-        plan: lic.plan,
-        status: lic.status,
-        expiresAt: lic.expiresAt,
-        devices: lic.devices
-      },
-      offline_ttl_sec: Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600)
+      license_jws: signDeviceLicense(lic, plan, deviceId, deviceKey.thumbprint),
+      license: licenseSummary(lic),
+      offline_ttl_sec: LICENSE_OFFLINE_TTL_SEC
     });
   } catch (err) {
-    console.error("validate error:", err);
+    logger.error("validate error", err);
     res.status(500).json({ error: "Error al validar licencia" });
   }
 });
 
 // Refrescar JWS (mismo token + deviceId ya vinculado)
-app.post("/public/license/refresh", async (req, res) => {
+app.post("/public/license/refresh", publicLicenseLimiter, async (req, res) => {
   try {
     const { token, deviceId } = req.body || {};
     if (!token || !deviceId) return res.status(400).json({ error: "token y deviceId requeridos" });
@@ -529,44 +1583,27 @@ app.post("/public/license/refresh", async (req, res) => {
     const lic = await License.findOne({ where: { token } });
     if (!lic) return res.status(404).json({ error: "Licencia no encontrada" });
     if (lic.status !== "active") return res.status(403).json({ error: `Licencia no activa (${lic.status})` });
-    if (lic.expiresAt && new Date(lic.expiresAt).getTime() < Date.now()) {
+    if (isPastGrace(lic)) {
       return res.status(403).json({ error: "Licencia expirada" });
     }
     if (!Array.isArray(lic.devices) || !lic.devices.includes(deviceId)) {
       return res.status(403).json({ error: "Este dispositivo no está vinculado a la licencia" });
     }
+    const deviceKey = await resolveDeviceKey(lic, deviceId, req, res);
+    if (!deviceKey) return;
+    if (deviceKey.register && !(await registerDeviceKey(lic, deviceId, deviceKey.register))) {
+      return res.status(409).json({ error: "Este dispositivo ya registró otra clave" });
+    }
+    await touchDevice(lic, deviceId, req);
 
-    const features = {
-      sync: true,
-      whatsapp_bot: Boolean(lic.features?.whatsapp_bot || false),
-      ai_cameras: Boolean(lic.features?.ai_cameras || false),
-    };
-    const max = limitForPlan(lic.plan);
-
-    const jws = signLicenseJWS({
-      userId: lic.userId,
-      licenseId: lic.id,
-      token: lic.token,
-      plan: lic.plan,
-      status: lic.status,
-      deviceId,
-      maxDevices: max,
-      features
-    });
-
+    const plan = await getPlan(lic.plan);
     res.json({
-      license_jws: jws,
-      license: {
-        id: lic.id,
-        plan: lic.plan,
-        status: lic.status,
-        expiresAt: lic.expiresAt,
-        devices: lic.devices
-      },
-      offline_ttl_sec: Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600)
+      license_jws: signDeviceLicense(lic, plan, deviceId, deviceKey.thumbprint),
+      license: licenseSummary(lic),
+      offline_ttl_sec: LICENSE_OFFLINE_TTL_SEC
     });
   } catch (err) {
-    console.error("refresh error:", err);
+    logger.error("refresh error", err);
     res.status(500).json({ error: "Error al refrescar licencia" });
   }
 });
@@ -576,4 +1613,4 @@ app.post("/public/license/refresh", async (req, res) => {
 ========================= */
 app.use((_, res) => res.status(404).json({ error: "Not found" }));
 
-app.listen(PORT, () => console.log(`Server listo en :${PORT}`));
+app.listen(PORT, () => logger.info(`Server listo en :${PORT}`));
@@ -0,0 +1,126 @@
+// backend/sessions.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { Session, User } from "./models.js";
+import { issueToken } from "./auth.js";
+import { logger } from "./logger.js";
+
+/**
+ * Sesiones del panel.
+ * - Access token JWT corto (ACCESS_TOKEN_TTL, default 15m) con el id de sesión (sid).
+ * - Refresh token opaco "<sid>.<secreto>" que rota en cada uso (REFRESH_TOKEN_TTL_DAYS).
+ * - Reusar un refresh ya rotado revoca la sesión entera.
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Atributos visibles en GET /sessions
+export const SESSION_ATTRS = ["id", "userAgent", "ip", "mfa", "lastUsedAt", "expiresAt", "createdAt"];
+
+function hashToken(raw) {
+  return crypto.createHash("sha256").update(String(raw)).digest("hex");
+}
+
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function tokensFor(user, session, secret) {
+  return {
+    token: issueToken({ id: user.id, email: user.email, role: user.role, sid: session.id }, ACCESS_TOKEN_TTL),
+    refreshToken: `${session.id}.${secret}`,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Abre una sesión nueva (login).
+ * @param {{ mfa?: boolean }} opts - mfa: el login pasó el segundo factor
+ * @returns {Promise<{ token, refreshToken, refreshExpiresAt }>}
+ */
+export async function createSession(user, req, { mfa = false } = {}) {
+  const secret = newSecret();
+  const expiresAt = new Date(); expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  const session = await Session.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt,
+    lastUsedAt: new Date(),
+    userAgent: String(req?.get?.("user-agent") || "").slice(0, 255) || null,
+    ip: req?.ip || null,
+    mfa
+  });
+  return tokensFor(user, session, secret);
+}
+
+/**
+ * Rota un refresh token.
+ * @returns {Promise<{ token, refreshToken, refreshExpiresAt } | null>} null si es inválido
+ */
+export async function refreshSession(refreshToken, req) {
+  const [sid, secret] = String(refreshToken || "").split(".");
+  if (!/^\d+$/.test(sid || "") || !secret) return null;
+
+  const session = await Session.findByPk(Number(sid), { include: [{ model: User, as: "user" }] });
+  if (!session || session.revokedAt || new Date(session.expiresAt) < new Date() || !session.user) return null;
+
+  const hash = hashToken(secret);
+  if (sameHash(hash, session.previousRefreshTokenHash)) {
+    logger.warn("sessions: refresh token reutilizado; se revoca la sesión", { sessionId: session.id, userId: session.userId });
+    session.revokedAt = new Date();
+    await session.save();
+    return null;
+  }
+  if (!sameHash(hash, session.refreshTokenHash)) return null;
+
+  // Rotación con UPDATE condicional: dos refresh simultáneos con el mismo token -> solo uno gana
+  const next = newSecret();
+  const [n] = await Session.update(
+    {
+      refreshTokenHash: hashToken(next),
+      previousRefreshTokenHash: hash,
+      lastUsedAt: new Date(),
+      ip: req?.ip || session.ip
+    },
+    { where: { id: session.id, refreshTokenHash: hash, revokedAt: null } }
+  );
+  if (!n) return null;
+  return tokensFor(session.user, session, next);
+}
+
+/** Marca la sesión como verificada con segundo factor (al confirmar la inscripción de 2FA) */
+export async function markSessionMfa(sessionId) {
+  await Session.update({ mfa: true }, { where: { id: sessionId } });
+}
+
+/** Revoca una sesión del usuario */
+export async function revokeSession(userId, sessionId) {
+  const [n] = await Session.update(
+    { revokedAt: new Date() },
+    { where: { id: sessionId, userId, revokedAt: null } }
+  );
+  return n > 0;
+}
+
+/** Revoca todas las sesiones del usuario (opcionalmente menos una) */
+export async function revokeAllSessions(userId, { exceptId = null } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptId) where.id = { [Op.ne]: exceptId };
+  const [n] = await Session.update({ revokedAt: new Date() }, { where });
+  return n;
+}
+
+export function listActiveSessions(userId) {
+  return Session.findAll({
+    where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: SESSION_ATTRS,
+    order: [["lastUsedAt", "DESC"]]
+  });
+}
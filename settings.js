@@ -0,0 +1,41 @@
+// backend/settings.js
+import { Setting } from "./models.js";
+
+/**
+ * Configuración editable en caliente (tabla Settings), con defaults y un cache
+ * corto para no ir a la DB en cada request.
+ */
+
+export const SETTING_DEFAULTS = {
+  // exigir 2FA a los usuarios con rol "admin" para usar /admin
+  "security.requireAdmin2fa": false
+};
+
+const CACHE_MS = 30_000;
+const _cache = new Map(); // key -> { value, at }
+
+export async function getSetting(key) {
+  if (!(key in SETTING_DEFAULTS)) throw new Error(`Setting desconocido: ${key}`);
+  const hit = _cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.value;
+
+  const row = await Setting.findByPk(key);
+  const value = row ? row.value : SETTING_DEFAULTS[key];
+  _cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+export async function setSetting(key, value) {
+  if (!(key in SETTING_DEFAULTS)) throw new Error(`Setting desconocido: ${key}`);
+  await Setting.upsert({ key, value });
+  _cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+/** Todos los settings con su valor actual */
+export async function listSettings() {
+  const rows = await Setting.findAll({ where: { key: Object.keys(SETTING_DEFAULTS) } });
+  const out = { ...SETTING_DEFAULTS };
+  for (const r of rows) out[r.key] = r.value;
+  return out;
+}
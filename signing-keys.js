@@ -0,0 +1,209 @@
+// backend/signing-keys.js
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { Op, UniqueConstraintError } from "sequelize";
+
+import { sequelize, SigningKey } from "./models.js";
+import { encryptSecret, decryptSecret } from "./secret-box.js";
+import { logger as baseLogger } from "./logger.js";
+import { OFFLINE_ACTIVATION_MAX_DAYS } from "./offline-activation.js";
+
+/**
+ * Claves RSA para firmar licencias, con rotación.
+ * - Ciclo de vida: pending (publicada, todavía no firma) -> active (firma) ->
+ *   retiring (ya no firma; sigue publicada mientras haya JWS suyos vigentes) -> retired.
+ * - El JWKS publica pending + active + retiring: los clientes conocen la próxima clave
+ *   antes de que se use.
+ * - Una retiring pasa sola a retired tras SIGNING_KEY_RETIRE_AFTER_SEC (default y mínimo: el mayor de
+ *   LICENSE_OFFLINE_TTL_SEC y OFFLINE_ACTIVATION_MAX_DAYS, la vida máxima de un JWS).
+ * - La privada se guarda cifrada con LICENSE_KEY_ENCRYPTION_KEY (o JWT_SECRET).
+ * - Si la tabla está vacía se importa la clave de LICENSE_PRIVATE_KEY_B64 / LICENSE_PUBLIC_KEY_B64.
+ * - Las claves se cachean en memoria y se recargan cada SIGNING_KEYS_RELOAD_MS (varias instancias).
+ */
+
+const logger = baseLogger.child({ module: "signing-keys" });
+const RELOAD_MS = Number(process.env.SIGNING_KEYS_RELOAD_MS || 60_000);
+const PUBLISHED = ["pending", "active", "retiring"];
+
+// Atributos visibles en /admin/signing-keys (nunca la privada)
+export const SIGNING_KEY_ATTRS = ["kid", "status", "publicPem", "activatedAt", "retiringAt", "retiredAt", "createdAt"];
+
+let _keys = []; // [{ kid, status, publicPem, privatePem }]
+
+/**
+ * Segundos que una clave sigue "retiring" (publicada) tras dejar de firmar.
+ * Se calcula al usarse (offline-activation.js y este módulo se importan en ciclo vía device-keys.js).
+ * @throws Error si SIGNING_KEY_RETIRE_AFTER_SEC es menor que la vida máxima de un JWS
+ */
+function retireAfterSec() {
+  const min = Math.max(
+    Number(process.env.LICENSE_OFFLINE_TTL_SEC || 72 * 3600),
+    OFFLINE_ACTIVATION_MAX_DAYS * 86400 // JWS de activación offline
+  );
+  const configured = Number(process.env.SIGNING_KEY_RETIRE_AFTER_SEC || min);
+  if (!(configured >= min)) {
+    throw new Error(`SIGNING_KEY_RETIRE_AFTER_SEC (${process.env.SIGNING_KEY_RETIRE_AFTER_SEC}) debe ser >= ${min} (vida máxima de un JWS)`);
+  }
+  return configured;
+}
+let _timer = null;
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+const encKey = () => process.env.LICENSE_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+function keyError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Miembros requeridos por tipo de clave, en orden lexicográfico (RFC 7638)
+const THUMBPRINT_MEMBERS = { RSA: ["e", "kty", "n"], EC: ["crv", "kty", "x", "y"], OKP: ["crv", "kty", "x"] };
+
+/** Thumbprint JWK (RFC 7638) de una pública (PEM o KeyObject); es el kid de las claves de firma */
+export function keyThumbprint(publicKey) {
+  const key = publicKey instanceof crypto.KeyObject ? publicKey : crypto.createPublicKey(publicKey);
+  const jwk = key.export({ format: "jwk" });
+  const members = THUMBPRINT_MEMBERS[jwk.kty];
+  if (!members) throw new Error(`Tipo de clave no soportado (${jwk.kty})`);
+  const canonical = JSON.stringify(Object.fromEntries(members.map(m => [m, jwk[m]])));
+  return crypto.createHash("sha256").update(canonical).digest("base64url");
+}
+
+function b64ToPem(b64) {
+  try { return Buffer.from(b64, "base64").toString("utf8"); }
+  catch { return ""; }
+}
+
+/** Importa la clave del env si todavía no hay ninguna en la DB */
+async function importEnvKey() {
+  const privatePem = b64ToPem(process.env.LICENSE_PRIVATE_KEY_B64 || "");
+  const publicPem = b64ToPem(process.env.LICENSE_PUBLIC_KEY_B64 || "");
+  if (!privatePem || !publicPem) {
+    logger.warn("No hay claves en la DB ni LICENSE_PRIVATE_KEY_B64 / LICENSE_PUBLIC_KEY_B64 en .env");
+    return;
+  }
+  try {
+    await SigningKey.create({
+      kid: keyThumbprint(publicPem),
+      status: "active",
+      publicPem,
+      privatePemEnc: encryptSecret(privatePem, encKey()),
+      activatedAt: new Date()
+    });
+    logger.info("clave del .env importada como activa");
+  } catch (err) {
+    if (!(err instanceof UniqueConstraintError)) throw err; // otra instancia la importó primero
+  }
+}
+
+/** (Re)carga el cache de claves publicadas */
+export async function loadSigningKeys() {
+  retireAfterSec(); // valida la config al arrancar
+  if (!(await SigningKey.count())) await importEnvKey();
+  const rows = await SigningKey.findAll({ where: { status: PUBLISHED }, order: [["createdAt", "ASC"]] });
+  _keys = rows.map(k => ({
+    kid: k.kid,
+    status: k.status,
+    publicPem: k.publicPem,
+    privatePem: k.status === "active" ? decryptSecret(k.privatePemEnc, encKey()) : null
+  }));
+  return _keys;
+}
+
+/** Recarga periódica (otra instancia pudo rotar la clave) */
+export function startSigningKeysReloader() {
+  if (_timer) return;
+  _timer = setInterval(() => loadSigningKeys().catch(err => logger.error("recarga error", err)), RELOAD_MS);
+  _timer.unref?.();
+}
+
+/** Clave con la que se firma ahora ({ kid, privatePem, publicPem }) o null */
+export function getActiveSigningKey() {
+  return _keys.find(k => k.status === "active") || null;
+}
+
+/** Pública por kid (solo claves publicadas) */
+export function getPublicKeyByKid(kid) {
+  return _keys.find(k => k.kid === kid)?.publicPem || null;
+}
+
+/** JWKS con las claves publicadas */
+export function getJwks() {
+  return {
+    keys: _keys.map(k => ({
+      ...crypto.createPublicKey(k.publicPem).export({ format: "jwk" }),
+      kid: k.kid,
+      use: "sig",
+      alg: "RS256",
+      status: k.status
+    }))
+  };
+}
+
+export function listSigningKeys() {
+  return SigningKey.findAll({ attributes: SIGNING_KEY_ATTRS, order: [["createdAt", "DESC"]] });
+}
+
+/**
+ * Genera una clave nueva en estado pending (RSA 2048).
+ * @returns {Promise<SigningKey>}
+ */
+export async function generateSigningKey() {
+  const { publicKey, privateKey } = await generateKeyPair("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" }
+  });
+  const key = await SigningKey.create({
+    kid: keyThumbprint(publicKey),
+    status: "pending",
+    publicPem: publicKey,
+    privatePemEnc: encryptSecret(privateKey, encKey())
+  });
+  await loadSigningKeys();
+  return key;
+}
+
+/**
+ * Promueve una clave pending a active; la activa anterior pasa a retiring.
+ */
+export async function promoteSigningKey(kid) {
+  const key = await SigningKey.findOne({ where: { kid } });
+  if (!key) throw keyError(404, "Clave no encontrada");
+  if (key.status !== "pending") throw keyError(409, `Solo se promueve una clave pending (está ${key.status})`);
+
+  const now = new Date();
+  await sequelize.transaction(async (transaction) => {
+    await SigningKey.update(
+      { status: "retiring", retiringAt: now },
+      { where: { status: "active" }, transaction }
+    );
+    await key.update({ status: "active", activatedAt: now }, { transaction });
+  });
+  await loadSigningKeys();
+  return key;
+}
+
+/**
+ * Retira una clave a mano (deja de publicarse: los JWS firmados con ella dejan de verificar).
+ */
+export async function retireSigningKey(kid) {
+  const key = await SigningKey.findOne({ where: { kid } });
+  if (!key) throw keyError(404, "Clave no encontrada");
+  if (key.status === "active") throw keyError(409, "No se puede retirar la clave activa; promové otra primero");
+  if (key.status === "retired") return key;
+  await key.update({ status: "retired", retiredAt: new Date() });
+  await loadSigningKeys();
+  return key;
+}
+
+/** retiring -> retired cuando ya no puede quedar ningún JWS suyo vigente (lo llama el sweeper) */
+export async function retireExpiredKeys(now = new Date()) {
+  const [n] = await SigningKey.update(
+    { status: "retired", retiredAt: now },
+    { where: { status: "retiring", retiringAt: { [Op.lte]: new Date(now.getTime() - retireAfterSec() * 1000) } } }
+  );
+  if (n) await loadSigningKeys();
+  return n;
+}
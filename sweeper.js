@@ -0,0 +1,173 @@
+// backend/sweeper.js
+import { Op } from "sequelize";
+
+import { License } from "./models.js";
+import { getPreapprovalById, cancelPreapproval } from "./mercadopago.js";
+import { generateLicenseToken, ensurePendingWindow, isPastGrace } from "./licenses.js";
+import { saveLicense } from "./license-events.js";
+import { revertExpiredDiscounts, confirmCouponRedemption, releaseCouponRedemption } from "./coupons.js";
+import { purgeLoginThrottles } from "./login-guard.js";
+import { purgeRateLimitCounters } from "./rate-limit.js";
+import { purgeExpiredRevocations } from "./revocations.js";
+import { retireExpiredKeys } from "./signing-keys.js";
+import { purgeDeviceChallenges } from "./device-keys.js";
+import { logger as baseLogger, withRequestId } from "./logger.js";
+
+/**
+ * Job periódico de vencimientos (corre dentro del backend).
+ * - Licencias "active" vencidas y fuera de gracia: se re-consulta la preaprobación en MP
+ *   antes de bajarlas (puede haberse perdido un webhook). Si MP la sigue cobrando
+ *   ("authorized") no se toca: MP reintenta el cobro y termina pausándola o cancelándola.
+ * - Suscripciones "inactive" cuya ventana de pendiente venció: si MP la autorizó se activa,
+ *   si no se cancela la preaprobación y se abandona (liberando el cupón pendiente, ver coupons.js).
+ * - Una licencia que se consultó y quedó igual (o cuya consulta falló) se saltea durante
+ *   LICENSE_SWEEP_RECHECK_MS, así no ocupa el lote de cada corrida y las siguientes avanzan.
+ * - Cupones cuyo descuento terminó: la preaprobación vuelve al precio completo (coupons.js).
+ * - Claves de firma "retiring" sin JWS vigentes pasan a "retired".
+ * - Limpieza de contadores de login y rate limit vencidos, challenges de dispositivos
+ *   y revocaciones que ya no hacen falta.
+ * Todas las transiciones quedan auditadas con actor "system".
+ */
+
+const logger = baseLogger.child({ module: "sweeper" });
+const SWEEP_INTERVAL_MS = Number(process.env.LICENSE_SWEEP_INTERVAL_MS || 15 * 60_000);
+const RECHECK_MS = Number(process.env.LICENSE_SWEEP_RECHECK_MS || 6 * 3600_000);
+const BATCH_SIZE = 100;
+
+const ctx = (action, mpPayloadId = null) => ({ actor: "system", action, mpPayloadId });
+
+async function fetchPreapproval(id) {
+  try {
+    return await getPreapprovalById(id);
+  } catch (err) {
+    // 404: la preaprobación no existe en MP; cualquier otro error -> reintentar en la próxima corrida
+    if (Number(err?.status) === 404) return null;
+    throw err;
+  }
+}
+
+// Sin consultar o consultadas hace más de RECHECK_MS
+function notRecentlyChecked(now) {
+  return { [Op.or]: [{ sweepCheckedAt: null }, { sweepCheckedAt: { [Op.lt]: new Date(now.getTime() - RECHECK_MS) } }] };
+}
+
+// Consultada sin transición: no se audita (no cambia ningún campo de negocio)
+async function markChecked(lic, now) {
+  try {
+    await License.update({ sweepCheckedAt: now }, { where: { id: lic.id }, silent: true });
+  } catch (err) {
+    logger.warn("No se pudo marcar licencia consultada", { licenseId: lic.id, err });
+  }
+}
+
+async function expireOverdue(now) {
+  const candidates = await License.findAll({
+    where: { status: "active", expiresAt: { [Op.lt]: now }, ...notRecentlyChecked(now) },
+    order: [["expiresAt", "ASC"]],
+    limit: BATCH_SIZE
+  });
+
+  const out = { expired: 0, synced: 0, skipped: 0 };
+  for (const lic of candidates) {
+    if (!isPastGrace(lic, now)) break; // orden por expiresAt: el resto sigue en gracia
+    try {
+      if (lic.mpPreapprovalId) {
+        const pre = await fetchPreapproval(lic.mpPreapprovalId);
+        if (pre && ["authorized", "active"].includes(pre.status)) {
+          await markChecked(lic, now);
+          out.skipped++;
+          continue;
+        }
+        if (pre && ["paused", "cancelled"].includes(pre.status)) {
+          lic.status = pre.status;
+          await saveLicense(lic, ctx("sweep.sync_preapproval", pre.id));
+          out.synced++;
+          continue;
+        }
+      }
+      lic.status = "expired";
+      await saveLicense(lic, ctx("sweep.expire", lic.mpPreapprovalId));
+      out.expired++;
+    } catch (err) {
+      logger.error("licencia error", { licenseId: lic.id, err });
+      await markChecked(lic, now);
+    }
+  }
+  return out;
+}
+
+async function abandonStalePending(now) {
+  const candidates = await License.findAll({
+    where: { status: "inactive", mpPreapprovalId: { [Op.ne]: null }, expiresAt: { [Op.lt]: now }, ...notRecentlyChecked(now) },
+    order: [["expiresAt", "ASC"]],
+    limit: BATCH_SIZE
+  });
+
+  const out = { activated: 0, abandoned: 0 };
+  for (const lic of candidates) {
+    try {
+      const pre = await fetchPreapproval(lic.mpPreapprovalId);
+      if (pre && ["authorized", "active"].includes(pre.status)) {
+        // webhook perdido: la suscripción sí se autorizó
+        lic.status = "active";
+        lic.trial = false;
+        ensurePendingWindow(lic);
+        if (!lic.token) lic.token = generateLicenseToken();
+        await saveLicense(lic, ctx("sweep.activate", pre.id));
+        await confirmCouponRedemption(pre.id);
+        out.activated++;
+        continue;
+      }
+      if (pre && pre.status !== "cancelled") {
+        try { await cancelPreapproval(pre.id); } catch (e) { logger.warn("No se pudo cancelar preaprobación pendiente", { preapprovalId: pre.id, err: e }); }
+      }
+      lic.status = "cancelled";
+      await saveLicense(lic, ctx("sweep.abandon", lic.mpPreapprovalId));
+      await releaseCouponRedemption(lic.mpPreapprovalId);
+      out.abandoned++;
+    } catch (err) {
+      logger.error("pendiente error", { licenseId: lic.id, err });
+      await markChecked(lic, now);
+    }
+  }
+  return out;
+}
+
+let _running = false;
+let _timer = null;
+
+/** Una corrida del job. Devuelve contadores por tipo de transición. */
+export async function runLicenseSweepOnce() {
+  if (_running) return null;
+  _running = true;
+  try {
+    const now = new Date();
+    const overdue = await expireOverdue(now);
+    const pending = await abandonStalePending(now);
+    const discountsReverted = await revertExpiredDiscounts(now, BATCH_SIZE);
+    const keysRetired = await retireExpiredKeys(now);
+    const result = { ...overdue, ...pending, discountsReverted, keysRetired };
+    if (Object.values(result).some(Boolean)) logger.info("corrida", result);
+    // Limpieza: no cuenta como transición y un error no debe cortar la corrida
+    try {
+      await purgeLoginThrottles(now);
+      await purgeRateLimitCounters(now);
+      await purgeExpiredRevocations(now);
+      await purgeDeviceChallenges(now);
+    } catch (err) {
+      logger.error("limpieza error", err);
+    }
+    return result;
+  } finally {
+    _running = false;
+  }
+}
+
+export function startLicenseSweeper() {
+  if (_timer) return;
+  const tick = () => withRequestId(`sweep-${Date.now()}`, runLicenseSweepOnce).catch(err => logger.error("sweeper error", err));
+  _timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  _timer.unref?.();
+  setTimeout(tick, 10_000).unref?.(); // primera corrida poco después del arranque
+  logger.info("iniciado", { intervalMs: SWEEP_INTERVAL_MS });
+}
@@ -0,0 +1,84 @@
+// backend/totp.js
+import crypto from "node:crypto";
+
+/**
+ * TOTP (RFC 6238) con HMAC-SHA1, 6 dígitos y pasos de 30s: lo que usan
+ * Google Authenticator, Authy, 1Password, etc.
+ */
+
+const STEP_SEC = 30;
+const DIGITS = 6;
+const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += B32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = B32.indexOf(ch);
+    if (idx < 0) throw new Error("Secreto base32 inválido");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/** Secreto nuevo (160 bits, base32) */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** URI otpauth:// para el QR de la app autenticadora */
+export function otpauthUri(secret, { issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  // encodeURIComponent (no URLSearchParams): algunas apps muestran el "+" de los espacios
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SEC}`;
+}
+
+/** Código del paso `step` (contador de 30s desde epoch) */
+export function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const bin = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+export function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SEC);
+}
+
+/**
+ * Verifica un código con tolerancia de ±window pasos (desfase de reloj).
+ * @returns {number | null} el paso que coincidió (para impedir reusar el código) o null
+ */
+export function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  const c = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(c)) return null;
+  const step = currentStep(now);
+  for (let i = -window; i <= window; i++) {
+    const expected = totpAt(secret, step + i);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(c))) return step + i;
+  }
+  return null;
+}
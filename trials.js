@@ -0,0 +1,117 @@
+// backend/trials.js
+import { UniqueConstraintError } from "sequelize";
+
+import { sequelize, License, TrialClaim } from "./models.js";
+import { generateLicenseToken } from "./licenses.js";
+import { createLicense } from "./license-events.js";
+import { getPlan } from "./plans.js";
+import { validateEntitlements } from "./entitlements.js";
+
+/**
+ * Pruebas gratuitas.
+ * - Licencia real (token usable en /public/license/validate) con License.trial = true,
+ *   sin preaprobación, que vence a los TRIAL_DAYS días (el sweeper la pasa a "expired").
+ * - Una sola prueba por email (normalizado) y por dispositivo (TrialClaim).
+ */
+
+const TRIAL_DAYS = Number(process.env.TRIAL_DAYS ?? 14); // 0 = pruebas deshabilitadas
+const TRIAL_PLAN = process.env.TRIAL_PLAN || "single";
+
+/**
+ * Features extra de la prueba (TRIAL_FEATURES) validadas contra el registro de entitlements.
+ * @throws Error si no es JSON válido o tiene claves / valores desconocidos
+ */
+function trialFeatures() {
+  let raw;
+  try { raw = JSON.parse(process.env.TRIAL_FEATURES || "{}"); }
+  catch { throw new Error("TRIAL_FEATURES no es JSON válido"); }
+  try { return validateEntitlements(raw); }
+  catch (e) { throw new Error(`TRIAL_FEATURES: ${e.message}`); }
+}
+
+export function trialsEnabled() {
+  return TRIAL_DAYS > 0;
+}
+
+/**
+ * Chequeo de arranque: un TRIAL_FEATURES mal escrito corta el arranque en lugar de no dar nada.
+ * @throws Error con el problema de TRIAL_FEATURES
+ */
+export function assertTrialConfig() {
+  if (trialsEnabled()) trialFeatures();
+}
+
+/**
+ * Email canónico para detectar repeticiones: minúsculas, sin "+etiqueta"
+ * y, en Gmail, sin puntos en la parte local.
+ */
+export function normalizeTrialEmail(email) {
+  const [local = "", domain = ""] = String(email || "").trim().toLowerCase().split("@");
+  let l = local.split("+")[0];
+  const d = domain === "googlemail.com" ? "gmail.com" : domain;
+  if (d === "gmail.com") l = l.replace(/\./g, "");
+  return `${l}@${d}`;
+}
+
+function trialError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/**
+ * Inicia una prueba gratuita para el usuario.
+ * @param {User} user
+ * @param {{ deviceId?: string }} opts - si viene deviceId se verifica y reserva también
+ * @returns {Promise<License>}
+ */
+export async function startTrial(user, { deviceId } = {}) {
+  if (!trialsEnabled()) throw trialError(403, "Las pruebas gratuitas no están habilitadas");
+  const plan = await getPlan(TRIAL_PLAN);
+  if (!plan) throw trialError(500, `Plan de prueba inexistente: ${TRIAL_PLAN}`);
+
+  if (await License.count({ where: { userId: user.id } })) {
+    throw trialError(409, "La cuenta ya tiene una licencia");
+  }
+
+  const expiresAt = new Date(); expiresAt.setDate(expiresAt.getDate() + TRIAL_DAYS);
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const lic = await createLicense({
+        userId: user.id,
+        plan: plan.code,
+        status: "active",
+        trial: true,
+        expiresAt,
+        token: generateLicenseToken(),
+        features: trialFeatures(),
+        devices: deviceId ? [deviceId] : []
+      }, { actor: "user", actorId: user.id, action: "trial.start", transaction });
+
+      // La restricción única (kind, value) es la que corta las repeticiones
+      await TrialClaim.create({ kind: "email", value: normalizeTrialEmail(user.email), userId: user.id, licenseId: lic.id }, { transaction });
+      if (deviceId) {
+        await TrialClaim.create({ kind: "device", value: String(deviceId), userId: user.id, licenseId: lic.id }, { transaction });
+      }
+      return lic;
+    });
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      throw trialError(409, "Ya se usó una prueba gratuita con este email o dispositivo");
+    }
+    throw err;
+  }
+}
+
+/**
+ * Antes de vincular un dispositivo nuevo a una licencia de prueba: lo reserva
+ * o devuelve false si ya usó la prueba de otra licencia.
+ */
+export async function claimTrialDevice(lic, deviceId) {
+  if (!lic.trial) return true;
+  const [claim] = await TrialClaim.findOrCreate({
+    where: { kind: "device", value: String(deviceId) },
+    defaults: { userId: lic.userId, licenseId: lic.id }
+  });
+  return claim.licenseId === lic.id;
+}
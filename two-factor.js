@@ -0,0 +1,171 @@
+// backend/two-factor.js
+import crypto from "node:crypto";
+import { Op } from "sequelize";
+
+import { sequelize, User, RecoveryCode, SecurityEvent } from "./models.js";
+import { issueToken, verifyToken, twoFactorRequiredFor } from "./auth.js";
+import { generateTotpSecret, otpauthUri, verifyTotp } from "./totp.js";
+import { encryptSecret, decryptSecret } from "./secret-box.js";
+
+/**
+ * 2FA (TOTP) de las cuentas del panel.
+ * - Inscripción en dos pasos: /2fa/setup genera el secreto (otpauth URI) y
+ *   /2fa/confirm lo activa con un código válido y entrega los códigos de recuperación.
+ * - El secreto se guarda cifrado (AES-256-GCM con TOTP_ENCRYPTION_KEY o, si falta, JWT_SECRET).
+ * - Con 2FA activo, /login devuelve un mfaToken (MFA_TOKEN_TTL) que solo /login/2fa
+ *   canjea por la sesión, con un código TOTP o un código de recuperación.
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Venta Simple";
+const MFA_TOKEN_TTL = process.env.MFA_TOKEN_TTL || "5m";
+const RECOVERY_CODES = 10;
+
+function twoFactorError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// Secreto TOTP cifrado en la DB (secret-box.js)
+const totpKey = () => process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+const sealTotpSecret = (secret) => encryptSecret(secret, totpKey());
+const openTotpSecret = (stored) => decryptSecret(stored, totpKey());
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+function securityEvent(type, user, detail = {}) {
+  return SecurityEvent.create({ type, userId: user.id, email: user.email, ip: detail.ip || null, detail });
+}
+
+/**
+ * Acepta el código TOTP y marca su paso como usado (UPDATE condicional: no se reusa).
+ */
+async function consumeTotp(user, secret, code) {
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+  const [n] = await User.update(
+    { totpLastStep: step },
+    { where: { id: user.id, [Op.or]: [{ totpLastStep: null }, { totpLastStep: { [Op.lt]: step } }] } }
+  );
+  return n > 0;
+}
+
+async function replaceRecoveryCodes(user, transaction) {
+  await RecoveryCode.destroy({ where: { userId: user.id }, transaction });
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODES; i++) {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase(); // 10 caracteres
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  await RecoveryCode.bulkCreate(codes.map(c => ({ userId: user.id, codeHash: hashRecoveryCode(c) })), { transaction });
+  return codes;
+}
+
+/** Estado de 2FA para GET /2fa */
+export async function twoFactorStatus(user) {
+  const recoveryCodesLeft = user.totpEnabledAt
+    ? await RecoveryCode.count({ where: { userId: user.id, usedAt: null } })
+    : 0;
+  return {
+    enabled: !!user.totpEnabledAt,
+    enabledAt: user.totpEnabledAt || null,
+    recoveryCodesLeft,
+    required: await twoFactorRequiredFor(user)
+  };
+}
+
+/**
+ * Paso 1 de la inscripción: secreto nuevo (pisa una inscripción sin confirmar).
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export async function beginTotpEnrollment(user) {
+  if (user.totpEnabledAt) throw twoFactorError(409, "La verificación en dos pasos ya está activa");
+  const secret = generateTotpSecret();
+  user.totpSecret = sealTotpSecret(secret);
+  user.totpLastStep = null;
+  await user.save();
+  return { secret, otpauthUri: otpauthUri(secret, { issuer: TOTP_ISSUER, account: user.email }) };
+}
+
+/**
+ * Paso 2: confirma con un código de la app y activa 2FA.
+ * @returns {Promise<string[]>} códigos de recuperación (se muestran una sola vez)
+ */
+export async function confirmTotpEnrollment(user, code, { ip } = {}) {
+  if (user.totpEnabledAt) throw twoFactorError(409, "La verificación en dos pasos ya está activa");
+  if (!user.totpSecret) throw twoFactorError(400, "Primero iniciá la configuración con /2fa/setup");
+  if (!(await consumeTotp(user, openTotpSecret(user.totpSecret), code))) throw twoFactorError(400, "Código inválido");
+
+  const codes = await sequelize.transaction(async (transaction) => {
+    await User.update({ totpEnabledAt: new Date() }, { where: { id: user.id }, transaction });
+    return replaceRecoveryCodes(user, transaction);
+  });
+  await securityEvent("2fa.enabled", user, { ip });
+  return codes;
+}
+
+/**
+ * Verifica el segundo factor: código TOTP o código de recuperación (se consume).
+ * @returns {Promise<"totp" | "recovery" | null>}
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }, { ip } = {}) {
+  if (!user.totpEnabledAt || !user.totpSecret) return null;
+
+  if (code) return (await consumeTotp(user, openTotpSecret(user.totpSecret), code)) ? "totp" : null;
+
+  if (recoveryCode) {
+    const [n] = await RecoveryCode.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, codeHash: hashRecoveryCode(recoveryCode), usedAt: null } }
+    );
+    if (!n) return null;
+    const left = await RecoveryCode.count({ where: { userId: user.id, usedAt: null } });
+    await securityEvent("2fa.recovery_used", user, { ip, left });
+    return "recovery";
+  }
+  return null;
+}
+
+/** Nuevos códigos de recuperación (invalida los anteriores) */
+export async function regenerateRecoveryCodes(user, { ip } = {}) {
+  if (!user.totpEnabledAt) throw twoFactorError(400, "La verificación en dos pasos no está activa");
+  const codes = await sequelize.transaction((transaction) => replaceRecoveryCodes(user, transaction));
+  await securityEvent("2fa.recovery_regenerated", user, { ip });
+  return codes;
+}
+
+/**
+ * Desactiva 2FA (el usuario con su segundo factor, o un admin si perdió el dispositivo).
+ * @param {{ actorId?: number, reason?: string, ip?: string }} ctx
+ */
+export async function disableTwoFactor(user, { actorId = null, reason = "user", ip } = {}) {
+  await sequelize.transaction(async (transaction) => {
+    await User.update(
+      { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+      { where: { id: user.id }, transaction }
+    );
+    await RecoveryCode.destroy({ where: { userId: user.id }, transaction });
+  });
+  await securityEvent("2fa.disabled", user, { ip, reason, actorId });
+}
+
+/** Token intermedio del login en dos pasos (no sirve como access token: no tiene sid) */
+export function issueMfaToken(user) {
+  return issueToken({ id: user.id, purpose: "mfa" }, MFA_TOKEN_TTL);
+}
+
+/**
+ * Lee un mfaToken.
+ * @returns {{ id: number, iat: number } | null}
+ */
+export function readMfaToken(token) {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.purpose !== "mfa" || !decoded.id) return null;
+  return { id: decoded.id, iat: decoded.iat };
+}
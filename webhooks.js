@@ -0,0 +1,248 @@
+// backend/webhooks.js
+import { Op } from "sequelize";
+
+import { WebhookEvent } from "./models.js";
+import { getPreapprovalById, cancelPreapproval, parseExternalReference } from "./mercadopago.js";
+import { generateLicenseToken, ensurePendingWindow, findLicenseForPreapproval } from "./licenses.js";
+import { saveLicense } from "./license-events.js";
+import { getPlan } from "./plans.js";
+import { processAuthorizedPayment, processPayment } from "./billing.js";
+import { confirmCouponRedemption, releaseCouponRedemption } from "./coupons.js";
+import { logger as baseLogger, withRequestId } from "./logger.js";
+
+/**
+ * Inbox de webhooks de Mercado Pago.
+ * - /webhook solo persiste la notificación (WebhookEvent) y responde.
+ * - Un worker en proceso toma los pendientes, los procesa y reintenta con backoff exponencial.
+ * - Tras WEBHOOK_MAX_ATTEMPTS fallos queda en "dead" hasta que un admin lo reprocese.
+ * - Se deduplica por topic + data.id: los handlers siempre leen el estado actual en MP,
+ *   así que una notificación nueva sobre el mismo recurso solo re-arma la fila existente.
+ */
+
+const logger = baseLogger.child({ module: "webhook" });
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_SEC = Number(process.env.WEBHOOK_RETRY_BASE_SEC || 30);
+const RETRY_MAX_SEC = Number(process.env.WEBHOOK_RETRY_MAX_SEC || 6 * 3600);
+const WORKER_INTERVAL_MS = Number(process.env.WEBHOOK_WORKER_INTERVAL_MS || 5000);
+// Sin body.id no hay forma de distinguir un reintento de MP de una notificación nueva: usamos una ventana
+const DEDUP_WINDOW_SEC = Number(process.env.WEBHOOK_DEDUP_WINDOW_SEC || 60);
+const LOCK_TIMEOUT_MS = 5 * 60_000; // "processing" colgado (proceso caído) -> vuelve a "pending"
+const BATCH_SIZE = 10;
+
+/* =========================
+   Handlers por topic
+========================= */
+async function processPreapproval(evt) {
+  const pre = await getPreapprovalById(String(evt.dataId));
+  const { plan } = parseExternalReference(pre?.external_reference);
+
+  const lic = await findLicenseForPreapproval(pre.id, pre?.external_reference);
+  if (!lic) return;
+
+  const ctx = { actor: "webhook", action: "webhook.preapproval", mpPayloadId: evt.dataId };
+  const current = !lic.mpPreapprovalId || lic.mpPreapprovalId === pre.id;
+  if (["authorized", "active"].includes(pre.status)) {
+    if (lic.mpPreapprovalId && lic.mpPreapprovalId !== pre.id) {
+      try { await cancelPreapproval(lic.mpPreapprovalId); } catch (e) { logger.warn("No se pudo cancelar preaprobación vieja", e); }
+    }
+    lic.mpPreapprovalId = pre.id;
+    lic.status = "active";
+    lic.trial = false;
+    if (plan && await getPlan(plan)) lic.plan = plan; // la preaprobación manda (p. ej. change-method con otro plan)
+    ensurePendingWindow(lic); // el vencimiento real lo extiende el pago aprobado
+    if (!lic.token) lic.token = generateLicenseToken();
+    await saveLicense(lic, ctx);
+    await confirmCouponRedemption(pre.id); // el descuento corre desde la autorización
+    return;
+  }
+  // Cancelada sin autorizar (checkout abandonado o reemplazada): el cupón vuelve a estar disponible
+  if (pre.status === "cancelled") await releaseCouponRedemption(pre.id);
+  if (!current) {
+    // Preaprobación vieja (reemplazada por change-method): no toca la licencia
+  } else if (pre.status === "paused") {
+    lic.status = "paused"; await saveLicense(lic, ctx);
+  } else if (pre.status === "cancelled") {
+    lic.status = "cancelled"; await saveLicense(lic, ctx);
+  }
+}
+
+const HANDLERS = {
+  preapproval: processPreapproval,
+  authorized_payment: processAuthorizedPayment,
+  payment: processPayment
+};
+
+/* =========================
+   Inbox
+========================= */
+function normalizeTopic(type) {
+  const t = String(type).toLowerCase();
+  if (t.includes("authorized_payment")) return "authorized_payment"; // "subscription_authorized_payment"
+  if (t.includes("preapproval")) return "preapproval"; // "preapproval" (IPN) y "subscription_preapproval" (webhook)
+  if (t.startsWith("payment")) return "payment";
+  return t;
+}
+
+/**
+ * Extrae topic / data.id de una notificación (formato webhook en body o IPN en query).
+ * @returns {{ topic, dataId, notificationId, payload } | null}
+ */
+export function parseNotification(req) {
+  const body = req.body || {};
+  const type = body.type || req.query.type || body.topic || req.query.topic;
+  const dataId = body?.data?.id || req.query["data.id"] || body.id || req.query.id;
+  if (!type || !dataId) return null;
+  return {
+    topic: normalizeTopic(type),
+    dataId: String(dataId),
+    notificationId: body?.data?.id && body.id ? String(body.id) : null,
+    payload: { body, query: req.query }
+  };
+}
+
+function isDuplicate(row, notificationId) {
+  if (row.status === "pending") return true; // todavía no se procesó: va a leer el estado actual igual
+  if (notificationId) return notificationId === row.notificationId;
+  return Date.now() - new Date(row.updatedAt).getTime() < DEDUP_WINDOW_SEC * 1000;
+}
+
+/**
+ * Persiste una notificación en el inbox.
+ * @returns {Promise<{ event: WebhookEvent, duplicate: boolean }>}
+ */
+export async function enqueueWebhook({ topic, dataId, notificationId = null, payload = {} }) {
+  const status = HANDLERS[topic] ? "pending" : "ignored";
+  const [event, created] = await WebhookEvent.findOrCreate({
+    where: { topic, dataId },
+    defaults: { notificationId, payload, status }
+  });
+  if (created || isDuplicate(event, notificationId)) return { event, duplicate: !created };
+
+  // Notificación nueva sobre un recurso ya visto: re-armar (si estaba "processing", el worker no pisa el estado)
+  Object.assign(event, {
+    notificationId,
+    payload,
+    status,
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lockedAt: null,
+    processedAt: null,
+    lastError: null
+  });
+  await event.save();
+  return { event, duplicate: false };
+}
+
+/**
+ * Vuelve a encolar un evento (p. ej. "dead") para procesarlo ya.
+ * processedAt / lastError se limpian: los vuelve a fijar el resultado de esta corrida.
+ */
+export async function replayWebhook(id) {
+  const event = await WebhookEvent.findByPk(id);
+  if (!event) return null;
+  if (!HANDLERS[event.topic]) {
+    const e = new Error(`Topic sin handler: ${event.topic}`);
+    e.status = 400;
+    throw e;
+  }
+  Object.assign(event, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lockedAt: null,
+    processedAt: null,
+    lastError: null
+  });
+  await event.save();
+  return event;
+}
+
+/* =========================
+   Worker
+========================= */
+function backoffMs(attempts) {
+  const sec = Math.min(RETRY_MAX_SEC, RETRY_BASE_SEC * 2 ** (attempts - 1));
+  const jitter = 0.8 + Math.random() * 0.4;
+  return Math.round(sec * 1000 * jitter);
+}
+
+async function claimBatch() {
+  const now = new Date();
+  await WebhookEvent.update(
+    { status: "pending", lockedAt: null },
+    { where: { status: "processing", lockedAt: { [Op.lt]: new Date(now.getTime() - LOCK_TIMEOUT_MS) } } }
+  );
+
+  const candidates = await WebhookEvent.findAll({
+    where: { status: "pending", nextAttemptAt: { [Op.lte]: now } },
+    order: [["nextAttemptAt", "ASC"]],
+    limit: BATCH_SIZE
+  });
+
+  // Claim optimista: si corren varias instancias, solo una gana cada fila
+  const claimed = [];
+  for (const evt of candidates) {
+    const [n] = await WebhookEvent.update(
+      { status: "processing", lockedAt: now },
+      { where: { id: evt.id, status: "pending" } }
+    );
+    if (n) claimed.push(evt);
+  }
+  return { claimed, lockedAt: now };
+}
+
+async function processOne(evt, lockedAt) {
+  const attempts = evt.attempts + 1;
+  // Solo cerramos la fila si nadie la re-armó mientras la procesábamos
+  const stillOurs = { id: evt.id, status: "processing", lockedAt };
+  try {
+    await HANDLERS[evt.topic](evt);
+    await WebhookEvent.update(
+      { status: "done", attempts, processedAt: new Date(), lockedAt: null, lastError: null },
+      { where: stillOurs }
+    );
+  } catch (err) {
+    const dead = attempts >= MAX_ATTEMPTS;
+    logger.error("evento falló", { eventId: evt.id, topic: evt.topic, dataId: evt.dataId, attempts, maxAttempts: MAX_ATTEMPTS, err });
+    await WebhookEvent.update(
+      {
+        status: dead ? "dead" : "pending",
+        attempts,
+        nextAttemptAt: new Date(Date.now() + backoffMs(attempts)),
+        lockedAt: null,
+        processedAt: null,
+        lastError: String(err?.message || err).slice(0, 2000)
+      },
+      { where: stillOurs }
+    );
+  }
+}
+
+let _running = false;
+let _timer = null;
+
+/**
+ * Procesa un lote de eventos pendientes. Devuelve cuántos tomó.
+ * Si ya hay una corrida en curso no hace nada.
+ */
+export async function runWebhookWorkerOnce() {
+  if (_running) return 0;
+  _running = true;
+  try {
+    const { claimed, lockedAt } = await claimBatch();
+    // Cada evento con su propio id de correlación (viaja a MP como X-Request-Id)
+    for (const evt of claimed) await withRequestId(`webhook-${evt.id}`, () => processOne(evt, lockedAt));
+    return claimed.length;
+  } finally {
+    _running = false;
+  }
+}
+
+export function startWebhookWorker() {
+  if (_timer) return;
+  _timer = setInterval(() => {
+    runWebhookWorkerOnce().catch(err => logger.error("worker error", err));
+  }, WORKER_INTERVAL_MS);
+  _timer.unref?.();
+  logger.info("worker iniciado", { intervalMs: WORKER_INTERVAL_MS });
+}